@@ -11,7 +11,37 @@ import {
   Expand,   
   Minimize,
 } from "lucide-react";
-import { initiateExport } from "../services/exportService";
+import {
+  EXPORT_FORMATS,
+  EXPORT_PRESETS,
+  DEFAULT_EXPORT_FORMAT,
+  DEFAULT_EXPORT_PRESET,
+  getExportFormat,
+  getExportPreset,
+  estimateExport,
+} from "../services/exportFormats";
+import {
+  RESOLUTION_PRESETS,
+  CUSTOM_RESOLUTION,
+  FIT_MODES,
+  MIN_FRAME_SIZE,
+  MAX_FRAME_SIZE,
+  parseResolution,
+  validateResolution,
+} from "../services/exportFrame";
+import {
+  EXPORT_TARGET_LENGTHS,
+  getSlideDurations,
+  getSeamlessLoop,
+} from "../services/slideTiming";
+import {
+  FADE_UNITS,
+  FADE_LENGTH_OPTIONS,
+  DEFAULT_AUDIO_SETTINGS,
+  LOUDNESS_TARGET_LUFS,
+} from "../services/audioMix";
+import { getBackgroundStyle } from "../services/background";
+import { getSlideCropStyle } from "../services/slideCrop";
 
 // Filename Validation Function
 const validateFileName = (name) => {
@@ -22,15 +52,24 @@ const validateFileName = (name) => {
   return fileNameRegex.test(name) && name.trim() !== "";
 };
 
-// Custom Resolution Dropdown Component
-const CustomResolutionDropdown = ({ value, onChange }) => {
+// Play the slideshow through, or cut it to an exact length for social
+// platforms
+const EXPORT_LENGTH_OPTIONS = [
+  { value: 0, label: "Full Slideshow" },
+  ...EXPORT_TARGET_LENGTHS.map((seconds) => ({
+    value: seconds,
+    label: `${seconds} seconds`,
+  })),
+];
+
+// Fade out used when none is set, in the given fade unit
+const getDefaultFadeOut = (fadeUnit) =>
+  fadeUnit === "beats" ? 4 : DEFAULT_AUDIO_SETTINGS.fadeOut;
+
+// Custom Option Dropdown Component
+const CustomOptionDropdown = ({ value, options, onChange }) => {
   const [isOpen, setIsOpen] = useState(false);
 
-  const resolutions = [
-    { value: "720x1280", label: "720p" },
-    { value: "1080x1920", label: "1080p" },
-  ];
-
   const handleSelect = (newValue) => {
     onChange(newValue);
     setIsOpen(false);
@@ -39,18 +78,18 @@ const CustomResolutionDropdown = ({ value, onChange }) => {
   return (
     <div className="custom-resolution-dropdown">
       <div className="dropdown-header" onClick={() => setIsOpen(!isOpen)}>
-        {resolutions.find((res) => res.value === value)?.label || value}
+        {options.find((option) => option.value === value)?.label || value}
         {isOpen ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
       </div>
       {isOpen && (
         <div className="dropdown-list">
-          {resolutions.map((resolution) => (
+          {options.map((option) => (
             <div
-              key={resolution.value}
+              key={option.value}
               className="dropdown-item"
-              onClick={() => handleSelect(resolution.value)}
+              onClick={() => handleSelect(option.value)}
             >
-              {resolution.label}
+              {option.label}
             </div>
           ))}
         </div>
@@ -59,6 +98,55 @@ const CustomResolutionDropdown = ({ value, onChange }) => {
   );
 };
 
+// Custom Resolution Dropdown Component
+const CustomResolutionDropdown = ({ value, onChange }) => (
+  <CustomOptionDropdown
+    value={value}
+    options={RESOLUTION_PRESETS}
+    onChange={onChange}
+  />
+);
+
+// Frame Preview Component - shows how the slide is letterboxed or cropped
+const FramePreview = ({
+  imageUrl,
+  story,
+  width,
+  height,
+  fitMode,
+  background,
+}) => {
+  const maxWidth = 200;
+  const maxHeight = 160;
+  const scale = Math.min(maxWidth / width, maxHeight / height);
+
+  return (
+    <div className="export-frame-preview">
+      <div
+        className="export-frame"
+        style={{ width: width * scale, height: height * scale }}
+      >
+        {imageUrl && fitMode === "contain" && (
+          <div
+            className="slide-background"
+            style={getBackgroundStyle(background, imageUrl)}
+          />
+        )}
+        {imageUrl && (
+          <img
+            src={imageUrl}
+            alt="Export preview"
+            style={getSlideCropStyle(story, fitMode) || { objectFit: fitMode }}
+          />
+        )}
+      </div>
+      <span className="export-frame-size">
+        {width}×{height}
+      </span>
+    </div>
+  );
+};
+
 // Export Modal Component
 const ExportModal = ({
   isOpen,
@@ -70,12 +158,27 @@ const ExportModal = ({
   storyData,
   stories,
   duration,
+  rhythmPattern,
+  bpm,
   stopPlayback,
   cancelExport,
+  currentImageFitMode,
+  background,
+  previewImageUrl,
+  previewStory,
+  hasMusic,
+  musicRegionSeconds,
 }) => {
   const [resolution, setResolution] = useState("1080x1920");
+  const [customWidth, setCustomWidth] = useState("1080");
+  const [customHeight, setCustomHeight] = useState("1920");
+  const [exportFormat, setExportFormat] = useState(DEFAULT_EXPORT_FORMAT);
+  const [exportPreset, setExportPreset] = useState(DEFAULT_EXPORT_PRESET);
+  const [audioSettings, setAudioSettings] = useState(DEFAULT_AUDIO_SETTINGS);
   const [isExportLoopEnabled, setIsExportLoopEnabled] = useState(false);
   const [loopCount, setLoopCount] = useState(1);
+  const [targetDuration, setTargetDuration] = useState(0);
+  const [isSeamlessLoop, setIsSeamlessLoop] = useState(false);
   const [exportError, setExportError] = useState(null);
   
   // New states for file name prompt
@@ -83,18 +186,95 @@ const ExportModal = ({
   const [fileName, setFileName] = useState("");
   const [isFileNameValid, setIsFileNameValid] = useState(false);
 
-  // Calculate total slideshow duration in seconds (single playthrough)
-  const slideshowDuration = stories && duration ? stories.length * duration : 0;
-
-  // Calculate total duration with looping
-  const totalDuration =
-    slideshowDuration * (isExportLoopEnabled ? loopCount : 1);
+  // Calculate total slideshow duration in seconds (single playthrough),
+  // slides with their own bar length or a rhythm pattern step count with
+  // that length
+  const slideshowDuration =
+    stories && duration && bpm
+      ? getSlideDurations(stories, bpm, duration, rhythmPattern).reduce(
+          (total, slideDuration) => total + slideDuration,
+          0
+        )
+      : 0;
+
+  // Calculate total duration with looping, a target length replaces it
+  const loopedDuration =
+    targetDuration > 0
+      ? targetDuration
+      : slideshowDuration * (isExportLoopEnabled ? loopCount : 1);
+  // A seamless loop rounds the length to whole bars
+  const seamlessLoop =
+    isSeamlessLoop && bpm && loopedDuration > 0
+      ? getSeamlessLoop(loopedDuration, bpm)
+      : null;
+  const totalDuration = seamlessLoop ? seamlessLoop.seconds : loopedDuration;
+  const isLooped = targetDuration === 0 && isExportLoopEnabled && !seamlessLoop;
+  const hasExportMusic = hasMusic && getExportFormat(exportFormat).hasAudio;
+  // Exact lengths need music all the way through, a seamless loop also
+  // reads one seam past its end
+  const musicNeeded = seamlessLoop
+    ? seamlessLoop.seconds + seamlessLoop.seamSeconds
+    : targetDuration;
+  const musicEndsEarly =
+    hasExportMusic &&
+    musicNeeded > 0 &&
+    musicRegionSeconds !== null &&
+    musicRegionSeconds < musicNeeded;
 
   // Check if duration exceeds the 3-minute limit (180 seconds)
   const exceedsMaxDuration = totalDuration > 180;
 
 // In ExportModal.jsx, add a new state for the export fit mode
-  const [exportFitMode, setExportFitMode] = useState("contain");
+  const [exportFitMode, setExportFitMode] = useState(
+    currentImageFitMode || "contain"
+  );
+
+  // Resolved output frame, custom sizes are only used once they validate
+  const isCustomResolution = resolution === CUSTOM_RESOLUTION;
+  const frameSize = isCustomResolution
+    ? { width: Number(customWidth), height: Number(customHeight) }
+    : parseResolution(resolution);
+  const resolutionError = isCustomResolution
+    ? validateResolution(frameSize.width, frameSize.height)
+    : null;
+  const canExport = !exceedsMaxDuration && !resolutionError;
+
+  const selectedFormat = getExportFormat(exportFormat);
+  const selectedPreset = getExportPreset(selectedFormat, exportPreset);
+  const presetOptions = EXPORT_PRESETS.map((preset) => ({
+    value: preset.value,
+    label: `${preset.label} (${selectedFormat.presets[preset.value].fps} fps)`,
+  }));
+  const estimate = resolutionError
+    ? null
+    : estimateExport({
+        format: selectedFormat,
+        preset: selectedPreset,
+        width: frameSize.width,
+        height: frameSize.height,
+        duration: totalDuration,
+        hasMusic,
+      });
+
+  const updateAudioSettings = (changes) =>
+    setAudioSettings((current) => ({ ...current, ...changes }));
+
+  // Switching units resets the fades, the lengths don't translate
+  const handleFadeUnitChange = (fadeUnit) =>
+    updateAudioSettings({
+      fadeUnit,
+      fadeIn: 0,
+      fadeOut: getDefaultFadeOut(fadeUnit),
+    });
+
+  // A target length always fades the music out, it rarely ends there
+  const exportAudioSettings =
+    targetDuration > 0 && !audioSettings.fadeOut
+      ? { ...audioSettings, fadeOut: getDefaultFadeOut(audioSettings.fadeUnit) }
+      : audioSettings;
+  const fadeOutOptions = FADE_LENGTH_OPTIONS[audioSettings.fadeUnit].filter(
+    (option) => targetDuration === 0 || option.value > 0
+  );
 
   // Format time function (for display)
   const formatTime = (seconds) => {
@@ -103,6 +283,14 @@ const ExportModal = ({
     return `${minutes}:${remainingSeconds.toString().padStart(2, "0")}`;
   };
 
+  // Format file size function (for display)
+  const formatFileSize = (bytes) => {
+    if (bytes >= 1024 * 1024) {
+      return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  };
+
   // Handle loop count change with validation
   const handleLoopCountChange = (value) => {
     const newCount = parseInt(value) || 1;
@@ -132,6 +320,10 @@ const ExportModal = ({
       );
       return;
     }
+    if (resolutionError) {
+      setExportError(resolutionError);
+      return;
+    }
 
     // Open file name prompt
     setIsFileNamePromptOpen(true);
@@ -158,29 +350,26 @@ const ExportModal = ({
       stopPlayback();
     }
 
-    const exportConfig = {
-      resolution,
-      isExportLoopEnabled,
-      exportLoopDuration: isExportLoopEnabled ? totalDuration : 0,
-      fileName: `${fileName}.mp4`,
-      imageFitMode: "contain", 
-    };
-
     try {
       const exportData = {
         storyData: storyData || stories,
-        resolution,
-        isExportLoopEnabled,
-        exportLoopDuration: isExportLoopEnabled ? totalDuration : 0,
-        fileName: `${fileName}.mp4`,
-        imageFitMode: "contain", 
+        resolution: `${frameSize.width}x${frameSize.height}`,
+        isExportLoopEnabled: targetDuration === 0 && isExportLoopEnabled,
+        exportLoopDuration:
+          targetDuration === 0 && isExportLoopEnabled ? loopedDuration : 0,
+        targetDuration,
+        seamlessLoop: !!seamlessLoop,
+        fileName: `${fileName}${selectedFormat.extension}`,
+        format: selectedFormat.value,
+        preset: exportPreset,
+        audio: exportAudioSettings,
+        imageFitMode: exportFitMode,
       };
-      console.log("Exporting with fit mode: contain");
-      const exportedFile = await initiateExport(exportData, exportConfig);
-      
+      console.log(`Exporting with fit mode: ${exportFitMode}`);
+
       // Close file name prompt and reset states
       setIsFileNamePromptOpen(false);
-      onExport(exportedFile);
+      onExport(exportData);
     } catch (error) {
       console.error("Export failed", error);
       setExportError(error.message || "Export failed. Please try again.");
@@ -261,6 +450,139 @@ const ExportModal = ({
               />
             </div>
 
+            {isCustomResolution && (
+              <div className="custom-resolution-inputs">
+                <input
+                  type="number"
+                  value={customWidth}
+                  onChange={(e) => setCustomWidth(e.target.value)}
+                  min={MIN_FRAME_SIZE}
+                  max={MAX_FRAME_SIZE}
+                  step="2"
+                  aria-label="Custom width"
+                />
+                <span>×</span>
+                <input
+                  type="number"
+                  value={customHeight}
+                  onChange={(e) => setCustomHeight(e.target.value)}
+                  min={MIN_FRAME_SIZE}
+                  max={MAX_FRAME_SIZE}
+                  step="2"
+                  aria-label="Custom height"
+                />
+                {resolutionError && (
+                  <div className="error-message">{resolutionError}</div>
+                )}
+              </div>
+            )}
+
+            <div className="resolution-selector">
+              <label>Slide Fit:</label>
+              <CustomOptionDropdown
+                value={exportFitMode}
+                options={FIT_MODES}
+                onChange={setExportFitMode}
+              />
+            </div>
+
+            {!resolutionError && (
+              <FramePreview
+                imageUrl={previewImageUrl}
+                story={previewStory}
+                width={frameSize.width}
+                height={frameSize.height}
+                fitMode={exportFitMode}
+                background={background}
+              />
+            )}
+
+            <div className="resolution-selector">
+              <label>Format:</label>
+              <CustomOptionDropdown
+                value={exportFormat}
+                options={EXPORT_FORMATS}
+                onChange={setExportFormat}
+              />
+            </div>
+
+            <div className="resolution-selector">
+              <label>Preset:</label>
+              <CustomOptionDropdown
+                value={exportPreset}
+                options={presetOptions}
+                onChange={setExportPreset}
+              />
+            </div>
+
+            {hasMusic && selectedFormat.hasAudio && (
+              <div className="export-audio-settings">
+                {seamlessLoop ? (
+                  <div className="info-row">
+                    <span style={{ fontSize: "0.90em" }}>
+                      The music crossfades at the loop point, fades are off
+                    </span>
+                  </div>
+                ) : (
+                  <>
+                    <div className="resolution-selector">
+                      <label>Music Fade Length In:</label>
+                      <CustomOptionDropdown
+                        value={audioSettings.fadeUnit}
+                        options={FADE_UNITS}
+                        onChange={handleFadeUnitChange}
+                      />
+                    </div>
+                    <div className="export-audio-fades">
+                      <div className="resolution-selector">
+                        <label>Fade In:</label>
+                        <CustomOptionDropdown
+                          value={audioSettings.fadeIn}
+                          options={FADE_LENGTH_OPTIONS[audioSettings.fadeUnit]}
+                          onChange={(fadeIn) =>
+                            updateAudioSettings({ fadeIn })
+                          }
+                        />
+                      </div>
+                      <div className="resolution-selector">
+                        <label>Fade Out:</label>
+                        <CustomOptionDropdown
+                          value={exportAudioSettings.fadeOut}
+                          options={fadeOutOptions}
+                          onChange={(fadeOut) =>
+                            updateAudioSettings({ fadeOut })
+                          }
+                        />
+                      </div>
+                    </div>
+                  </>
+                )}
+                <div className="loop-toggle">
+                  <label>
+                    <span>Normalize Loudness ({LOUDNESS_TARGET_LUFS} LUFS)</span>
+                    <input
+                      type="checkbox"
+                      checked={audioSettings.normalize}
+                      onChange={() =>
+                        updateAudioSettings({
+                          normalize: !audioSettings.normalize,
+                        })
+                      }
+                    />
+                  </label>
+                </div>
+              </div>
+            )}
+
+            {!selectedFormat.hasAudio && (
+              <div className="info-row">
+                <span style={{ fontSize: "0.90em", color: "orange" }}>
+                  {selectedFormat.description} files have no sound, the music
+                  is left out
+                </span>
+              </div>
+            )}
+
    
             <div className="duration-info">
               <div className="info-row">
@@ -270,7 +592,25 @@ const ExportModal = ({
                 </span>
               </div>
 
-              {isExportLoopEnabled && (
+              {targetDuration > 0 && !seamlessLoop && (
+                <div className="info-row">
+                  <span>Export length:</span>
+                  <span className="info-value">
+                    {formatTime(totalDuration)}
+                  </span>
+                </div>
+              )}
+
+              {seamlessLoop && (
+                <div className="info-row">
+                  <span>Seamless loop ({seamlessLoop.bars} bars):</span>
+                  <span className="info-value">
+                    {formatTime(totalDuration)}
+                  </span>
+                </div>
+              )}
+
+              {isLooped && (
                 <div className="info-row">
                   <span>With looping ({loopCount}×):</span>
                   <span className="info-value">
@@ -278,6 +618,23 @@ const ExportModal = ({
                   </span>
                 </div>
               )}
+
+              {estimate && (
+                <>
+                  <div className="info-row">
+                    <span>Estimated file size:</span>
+                    <span className="info-value">
+                      ~{formatFileSize(estimate.bytes)}
+                    </span>
+                  </div>
+                  <div className="info-row">
+                    <span>Estimated render time:</span>
+                    <span className="info-value">
+                      ~{formatTime(Math.max(1, estimate.seconds))}
+                    </span>
+                  </div>
+                </>
+              )}
               
               <div className="info-row">
                 <span style={{ fontSize: "0.90em", color: "orange" }}>
@@ -291,59 +648,91 @@ const ExportModal = ({
                   <span>Export duration exceeds 3 minute limit</span>
                 </div>
               )}
+
+              {musicEndsEarly && (
+                <div className="duration-warning">
+                  <AlertTriangle size={16} />
+                  <span>
+                    The music region is only {formatTime(musicRegionSeconds)},
+                    the rest of the video will be silent
+                  </span>
+                </div>
+              )}
             </div>
 
-            <div className="export-loop-settings">
-              <div className="loop-toggle">
-                <label>
-                  <span>Loop Slideshow</span>
-                  <input
-                    type="checkbox"
-                    checked={isExportLoopEnabled}
-                    onChange={() =>
-                      setIsExportLoopEnabled(!isExportLoopEnabled)
-                    }
-                  />
-                </label>
-              </div>
+            <div className="resolution-selector">
+              <label>Export Length:</label>
+              <CustomOptionDropdown
+                value={targetDuration}
+                options={EXPORT_LENGTH_OPTIONS}
+                onChange={setTargetDuration}
+              />
+            </div>
 
-              {isExportLoopEnabled && (
-                <div className="loop-control">
-                  <label>Loop Count:</label>
-                  <div className="loop-counter">
-                    <button
-                      onClick={() => handleLoopCountChange(loopCount - 1)}
-                      disabled={loopCount <= 1}
-                      className="counter-button"
-                    >
-                      -
-                    </button>
+            <div className="loop-toggle">
+              <label>
+                <span>Seamless Loop</span>
+                <input
+                  type="checkbox"
+                  checked={isSeamlessLoop}
+                  onChange={() => setIsSeamlessLoop(!isSeamlessLoop)}
+                />
+              </label>
+            </div>
+
+            {targetDuration === 0 && (
+              <div className="export-loop-settings">
+                <div className="loop-toggle">
+                  <label>
+                    <span>Loop Slideshow</span>
                     <input
-                      type="number"
-                      value={loopCount}
-                      onChange={(e) => handleLoopCountChange(e.target.value)}
-                      min="1"
-                      className="loop-count-input"
+                      type="checkbox"
+                      checked={isExportLoopEnabled}
+                      onChange={() =>
+                        setIsExportLoopEnabled(!isExportLoopEnabled)
+                      }
                     />
-                    <button
-                      onClick={() => handleLoopCountChange(loopCount + 1)}
-                      disabled={slideshowDuration * (loopCount + 1) > 180}
-                      className="counter-button"
-                    >
-                      +
-                    </button>
-                    <span className="loop-unit">×</span>
-                  </div>
+                  </label>
+                </div>
 
-                  {exceedsMaxDuration && (
-                    <div className="loop-warning">
-                      <Info size={14} />
-                      <span>Maximum export duration is 3 minutes</span>
+                {isExportLoopEnabled && (
+                  <div className="loop-control">
+                    <label>Loop Count:</label>
+                    <div className="loop-counter">
+                      <button
+                        onClick={() => handleLoopCountChange(loopCount - 1)}
+                        disabled={loopCount <= 1}
+                        className="counter-button"
+                      >
+                        -
+                      </button>
+                      <input
+                        type="number"
+                        value={loopCount}
+                        onChange={(e) => handleLoopCountChange(e.target.value)}
+                        min="1"
+                        className="loop-count-input"
+                      />
+                      <button
+                        onClick={() => handleLoopCountChange(loopCount + 1)}
+                        disabled={slideshowDuration * (loopCount + 1) > 180}
+                        className="counter-button"
+                      >
+                        +
+                      </button>
+                      <span className="loop-unit">×</span>
                     </div>
-                  )}
-                </div>
-              )}
-            </div>
+
+                    {exceedsMaxDuration && (
+                      <div className="loop-warning">
+                        <Info size={14} />
+                        <span>Maximum export duration is 3 minutes</span>
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
 
             {exportError && (
               <div className="export-error-message">{exportError}</div>
@@ -353,10 +742,10 @@ const ExportModal = ({
               <button
                 className="action-button download"
                 onClick={handleInitiateExport}
-                disabled={exceedsMaxDuration}
+                disabled={!canExport}
                 style={{
-                  opacity: exceedsMaxDuration ? 0.5 : 1,
-                  cursor: exceedsMaxDuration ? "not-allowed" : "pointer",
+                  opacity: canExport ? 1 : 0.5,
+                  cursor: canExport ? "pointer" : "not-allowed",
                 }}
               >
                 <Download className="button-icon" />
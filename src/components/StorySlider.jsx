@@ -42,16 +42,24 @@ import {
   Check,
   XCircle,
   MoveVertical,
+  SlidersHorizontal,
 } from "lucide-react";
 
 //firebase
 import { db } from "../firebase";
 import { doc, getDoc } from "firebase/firestore";
 //import { motion, useAnimation, AnimatePresence } from 'framer-motion';
-import { FFmpeg } from "@ffmpeg/ffmpeg";
-import { fetchFile } from "@ffmpeg/util";
 // Export Modal
 import ExportModal from "./ExportModal";
+import {
+  initiateExport,
+  cancelExport,
+  preloadExportWorker,
+} from "../services/exportService";
+import {
+  getExportFormat,
+  getSavePickerType,
+} from "../services/exportFormats";
 // import Save Sessions
 import SaveSessionModal from "./SaveSessionModal";
 import SessionsList from "./SessionsList";
@@ -70,6 +78,114 @@ import { analyze } from "web-audio-beat-detector";
 import MyMusicLibrary from "./MyMusicLibrary";
 import AudiusTrackSearch from "./AudiusTrackSearch";
 import { APP_CONFIG } from "./AppConfig";
+// Slide transitions
+import {
+  TRANSITIONS,
+  TRANSITION_BEAT_OPTIONS,
+  DEFAULT_TRANSITION,
+  getTransitionSeconds,
+} from "../services/transitions";
+// Ken Burns motion
+import {
+  MOTION_MODES,
+  MOTION_DIRECTIONS,
+  DEFAULT_MOTION,
+  hasMotion,
+  getMotionTransforms,
+} from "../services/motion";
+// Per-slide timing
+import {
+  BAR_OPTIONS,
+  RHYTHM_PATTERNS,
+  MAX_PATTERN_STEPS,
+  findRhythmPattern,
+  FIT_TARGET_LENGTHS,
+  fitSlidesToLength,
+  barsToSeconds,
+  getSlideDuration,
+  getSlideDurations,
+} from "../services/slideTiming";
+// Text captions
+import {
+  CAPTION_POSITIONS,
+  CAPTION_FONTS,
+  CAPTION_EFFECTS,
+  CAPTION_MIN_SIZE,
+  CAPTION_MAX_SIZE,
+  DEFAULT_CAPTION,
+  hasCaption,
+  captionRunsToEnd,
+  getCaptionTiming,
+  getCaptionStyle,
+  renderCaptionImage,
+} from "../services/captions";
+import { parseResolution } from "../services/exportFrame";
+// Beat-reactive effects
+import {
+  BEAT_EFFECTS,
+  BEAT_EFFECT_TRIGGERS,
+  BEAT_EFFECT_INTENSITIES,
+  DEFAULT_BEAT_EFFECT,
+  hasBeatEffect,
+  getBeatEffectFrame,
+} from "../services/beatEffects";
+// Fill behind contained slides
+import {
+  BACKGROUND_TYPES,
+  DEFAULT_BACKGROUND,
+  getBackgroundStyle,
+} from "../services/background";
+// Slide images are stored outside React state
+import {
+  saveMedia,
+  loadMedia,
+  deleteMedia,
+  acquireMediaUrl,
+  releaseMediaUrl,
+  peekMediaUrl,
+  getStoryMediaIds,
+} from "../services/mediaStore";
+// Video clips as slides
+import {
+  CLIP_VIDEO_TYPES,
+  MAX_CLIP_SECONDS,
+  CLIP_AUDIO_OPTIONS,
+  DEFAULT_CLIP,
+  isVideoStory,
+  isClipFile,
+  getClipRange,
+} from "../services/videoClips";
+
+// Capture details of imported photos
+import {
+  readPhotoMetadata,
+  getDrawOrientation,
+  isSidewaysOrientation,
+  getOrientationTransform,
+  sortByDateTaken,
+} from "../services/photoMetadata";
+
+// Per-slide focal point and zoom
+import {
+  MAX_CROP_ZOOM,
+  getCrop,
+  hasCrop,
+  getCropPlacement,
+  getSlideCropStyle,
+} from "../services/slideCrop";
+// HEIC and AVIF photos
+import {
+  PHOTO_FILE_EXTENSIONS,
+  isPhotoFile,
+  decodePhoto,
+} from "../services/photoFormats";
+
+// Files the upload buttons offer
+const UPLOAD_ACCEPT = [
+  "image/*",
+  ...PHOTO_FILE_EXTENSIONS,
+  ...CLIP_VIDEO_TYPES,
+].join(",");
 
 
 //==============================================
@@ -95,40 +211,43 @@ const useDeviceType = () => {
   return isTablet;
 };
 //==============================================
-// UTILITIES / SERVICES
+// MEDIA URLS
 //==============================================
-// Create the FFmpeg instance without hardcoded paths initially
-const ffmpeg = new FFmpeg({ log: true });
-
-// Load FFmpeg with CDN URLs
-const loadFFmpeg = async () => {
-  try {
-    console.log("Starting FFmpeg load...");
-    
-    // Use CDN URLs for loading the core and WASM files
-    await ffmpeg.load({
-      corePath: "/ffmpeg/ffmpeg-core.js",
-      wasmPath: "/ffmpeg/ffmpeg-core.wasm"
-    });
-    
-    console.log("FFmpeg loaded successfully");
-    return ffmpeg;
-  } catch (error) {
-    console.error("FFmpeg load error:", error);
-    // More detailed error logging
-    if (error instanceof Error) {
-      console.error({
-        message: error.message,
-        name: error.name,
-        stack: error.stack,
-        cause: error.cause,
-      });
-    }
-    // Optionally, show a user-friendly error
-    alert("Failed to load FFmpeg. Please check your internet connection.");
-    throw error;
-  }
+// Object URL of an image in the media store, held while the component that
+// shows it is mounted. Null until the file is loaded.
+const useMediaUrl = (id) => {
+  const [loaded, setLoaded] = useState({ id: null, url: null });
+  useEffect(() => {
+    if (!id) return undefined;
+    let isActive = true;
+    acquireMediaUrl(id)
+      .then((url) => {
+        if (isActive) setLoaded({ id, url });
+      })
+      .catch((error) => console.error(`Failed to load media ${id}:`, error));
+    return () => {
+      isActive = false;
+      releaseMediaUrl(id);
+    };
+  }, [id]);
+  if (!id) return null;
+  return loaded.id === id ? loaded.url : peekMediaUrl(id);
 };
+// Still image of a slide: the photo, or the poster frame of a clip
+const getStillMediaId = (story) =>
+  story ? story.posterMediaId || story.mediaId : null;
+// Style of a slide's image or clip in its frame. The crop needs the image
+// size, which slides from older sessions only get from the crop editor.
+const getSlideMediaStyle = (story, fitMode) =>
+  getSlideCropStyle(story, fitMode) || {
+    objectFit: fitMode,
+    width: "100%",
+    height: "100%",
+    display: "block",
+  };
+//==============================================
+// UTILITIES / SERVICES
+//==============================================
 //==============================================
 // LANDING PAGE COMPONENT
 //==============================================
@@ -1095,7 +1214,12 @@ const handlePlayPause = () => {
 //==============================================
 // PROGRESS BAR COMPONENT
 //==============================================
-const ProgressBar = ({ currentIndex, totalSlides, onProgressClick }) => {
+const ProgressBar = ({
+  currentIndex,
+  totalSlides,
+  durations,
+  onProgressClick,
+}) => {
   console.log("Rendering ProgressBar", {
     currentIndex,
     totalSlides,
@@ -1114,6 +1238,8 @@ const ProgressBar = ({ currentIndex, totalSlides, onProgressClick }) => {
           style={{
             backgroundColor:
               index === currentIndex ? "white" : "rgba(255,255,255,0.3)",
+            // Segment width follows the slide's share of the slideshow
+            flex: durations ? `${durations[index]} 1 0` : undefined,
           }}
           onClick={() => onProgressClick(index)}
         />
@@ -1157,11 +1283,11 @@ const EmptyState = ({ onFileUpload }) => {
     <div className="empty-state">
       <label htmlFor="file-upload" className="file-upload-label">
         <PlusCircle size={48} />
-        <span>Add Images</span>
+        <span>Add Images or Clips</span>
         <input
           type="file"
           id="file-upload"
-          accept="image/*"
+          accept={UPLOAD_ACCEPT}
           multiple
           onChange={onFileUpload}
           className="hidden-input"
@@ -1176,14 +1302,29 @@ const EmptyState = ({ onFileUpload }) => {
 //--------------------------------------------
 // Progress Modal
 //--------------------------------------------
-const ProgressModal = ({ isOpen, progress, message, onCancel }) => {
+// Format a remaining time as m:ss
+const formatTimeLeft = (seconds) => {
+  const totalSeconds = Math.max(1, Math.round(seconds));
+  const minutes = Math.floor(totalSeconds / 60);
+  return `${minutes}:${(totalSeconds % 60).toString().padStart(2, "0")}`;
+};
+
+const ProgressModal = ({
+  isOpen,
+  progress,
+  message,
+  details,
+  error,
+  onCancel,
+  onClose,
+}) => {
   if (!isOpen) return null;
   return (
     <div className="modal-overlay">
       <div className="modal-content export-progress">
         <button
           className="close-button"
-          onClick={onCancel}
+          onClick={error ? onClose : onCancel}
           style={{
             position: "absolute",
             top: "10px",
@@ -1197,21 +1338,50 @@ const ProgressModal = ({ isOpen, progress, message, onCancel }) => {
         >
           <X size={24} />
         </button>
-        <div className="loading-container">
-          <h3 className="progress-title">{message}</h3>
-          <div className="progress-bar-container">
-            <div
-              className="progress-bar-fill"
-              style={{
-                width: `${progress || 0}%`,
-                transition: "width 0.3s ease-in-out",
-              }}
-            />
+        {error ? (
+          <div className="loading-container">
+            <h3 className="progress-title">Export failed</h3>
+            <p className="progress-error">{error}</p>
+            <button className="continue-button" onClick={onClose}>
+              Close
+            </button>
           </div>
-          <div className="progress-percentage">
-            {Math.round(progress || 0)}%
+        ) : (
+          <div className="loading-container">
+            <h3 className="progress-title">{message}</h3>
+            {details && details.stage && (
+              <div className="progress-stage">
+                Step {details.stageNumber} of {details.stageCount}:{" "}
+                {details.stage}
+              </div>
+            )}
+            <div className="progress-bar-container">
+              <div
+                className="progress-bar-fill"
+                style={{
+                  width: `${progress || 0}%`,
+                  transition: "width 0.3s ease-in-out",
+                }}
+              />
+            </div>
+            <div className="progress-percentage">
+              {Math.round(progress || 0)}%
+            </div>
+            {details && details.stage && (
+              <div className="progress-stats">
+                <span>
+                  Frame {details.frame} / {details.totalFrames}
+                </span>
+                {details.speed !== null && (
+                  <span>{details.speed.toFixed(2)}x</span>
+                )}
+                {details.eta !== null && (
+                  <span>About {formatTimeLeft(details.eta)} left</span>
+                )}
+              </div>
+            )}
           </div>
-        </div>
+        )}
       </div>
     </div>
   );
@@ -1729,124 +1899,808 @@ const ShareNotification = ({ isVisible, onClose }) => {
 };
 
 //--------------------------------------------
-// Edit Panel Component
+// Slide Thumbnail Component
 //--------------------------------------------
-// Edit Panel Component
-const EditPanel = ({
-  stories,
-  onClose,
-  onReorder,
-  onDelete,
-  saveStateOnEditPanelToggle,
-}) => {
-  // Mode state
-  const [mode, setMode] = useState("view"); // "view", "reorder", "delete"
+// Sessions saved before thumbnails were stored fall back to the slide image
+const SlideThumbnail = ({ story, alt }) => {
+  const url = useMediaUrl(story.thumbnailMediaId || story.mediaId);
+  return (
+    <img
+      src={url || undefined}
+      alt={alt}
+      loading="lazy"
+      style={{
+        width: "100%",
+        height: "100%",
+        objectFit: "cover",
+        borderRadius: "6px",
+      }}
+    />
+  );
+};
 
-  // For reorder mode
-  const [selectedIndices, setSelectedIndices] = useState([]);
-  const [tempOrder, setTempOrder] = useState([]);
+//--------------------------------------------
+// Slide Video Component
+//--------------------------------------------
+// Plays a video slide from its in point while the slideshow plays. A clip
+// that ends before its slide holds its last frame, like in the export. The
+// slide transitioning out carries on from where its slide ended, muted.
+const SlideVideo = ({
+  story,
+  slideDuration,
+  isPlaying,
+  isOutgoing,
+  posterUrl,
+  className,
+  style,
+}) => {
+  const videoRef = useRef(null);
+  const url = useMediaUrl(story.mediaId);
+  const { start } = getClipRange(story.clip, slideDuration);
+  const isMuted = isOutgoing || !story.clip.keepAudio;
 
-  // For delete mode
-  const [selectedToDelete, setSelectedToDelete] = useState([]);
+  useEffect(() => {
+    if (!videoRef.current || !url) return;
+    videoRef.current.currentTime = isOutgoing ? start + slideDuration : start;
+  }, [url, start, slideDuration, isOutgoing]);
 
-  // Initialize tempOrder with existing stories when entering reorder mode
   useEffect(() => {
-    if (mode === "reorder") {
-      setTempOrder([...stories]);
-      setSelectedIndices([]);
-    } else if (mode === "delete") {
-      setSelectedToDelete([]);
+    const video = videoRef.current;
+    if (!video || !url) return;
+    // React doesn't keep the muted property in sync
+    video.muted = isMuted;
+    if (isPlaying) {
+      video.play().catch((error) => {
+        console.warn("Video slide could not play:", error);
+      });
+    } else {
+      video.pause();
     }
-  }, [mode, stories]);
-
-  // Handle entering reorder mode
-  const handleEnterReorderMode = () => {
-    setMode("reorder");
-  };
+  }, [url, isPlaying, isMuted]);
 
-  // Handle entering delete mode
-  const handleEnterDeleteMode = () => {
-    setMode("delete");
-  };
+  return (
+    <video
+      ref={videoRef}
+      src={url || undefined}
+      poster={posterUrl || undefined}
+      className={className}
+      style={style}
+      muted={isMuted}
+      playsInline
+      preload="auto"
+    />
+  );
+};
 
-  // Handle going back to view mode
-  const handleBack = () => {
-    setMode("view");
-  };
+//--------------------------------------------
+// Beat Effect Stage Component
+//--------------------------------------------
+// Runs the beat effect over the slides while the slideshow plays. Styles are
+// set straight on the elements every frame instead of going through state.
+// The beats are counted on the music's own clock from its start point, like
+// the export, and on the page clock when no music plays.
+const BeatEffectStage = ({
+  effect,
+  bpm,
+  isPlaying,
+  audioRef,
+  musicStartPoint,
+  children,
+}) => {
+  const stageRef = useRef(null);
+  const flashMatrixRef = useRef(null);
+  const redShiftRef = useRef(null);
+  const blueShiftRef = useRef(null);
+  const isActive = isPlaying && hasBeatEffect(effect);
 
-  // Handle photo selection in reorder mode
-  const handlePhotoSelectForReorder = (index) => {
-    if (mode !== "reorder") return;
+  useEffect(() => {
+    if (!isActive) return undefined;
+    if (window.matchMedia("(prefers-reduced-motion: reduce)").matches) {
+      return undefined;
+    }
+    const stage = stageRef.current;
+    const flashMatrix = flashMatrixRef.current;
+    const redShift = redShiftRef.current;
+    const blueShift = blueShiftRef.current;
+    const start = performance.now();
+    let frameId;
+    const update = (now) => {
+      const audio = audioRef.current;
+      const time =
+        audio && audio.currentSrc && !audio.paused
+          ? audio.currentTime - musicStartPoint
+          : (now - start) / 1000;
+      const frame = getBeatEffectFrame(effect, bpm, Math.max(0, time));
+      if (stage) stage.style.transform = frame.transform;
+      if (flashMatrix && frame.flash) {
+        flashMatrix.setAttribute("values", frame.flash);
+      }
+      if (stage && redShift && blueShift) {
+        const shift = frame.split * stage.clientWidth;
+        redShift.setAttribute("dx", -shift);
+        blueShift.setAttribute("dx", shift);
+      }
+      frameId = requestAnimationFrame(update);
+    };
+    frameId = requestAnimationFrame(update);
 
-    // Check if already in selected indices
-    const indexInSelection = selectedIndices.indexOf(index);
+    return () => {
+      cancelAnimationFrame(frameId);
+      if (stage) stage.style.transform = "";
+      if (flashMatrix) flashMatrix.removeAttribute("values");
+    };
+  }, [isActive, effect, bpm, audioRef, musicStartPoint]);
 
-    if (indexInSelection !== -1) {
-      // If already selected, remove it
-      const newSelectedIndices = [...selectedIndices];
-      newSelectedIndices.splice(indexInSelection, 1);
-      setSelectedIndices(newSelectedIndices);
-    } else {
-      // If not selected, add it to the end
-      setSelectedIndices([...selectedIndices, index]);
-    }
+  const hasSplit = isActive && effect.type === "rgbSplit";
+  const hasFlash = isActive && effect.type === "flash";
+  let stageFilter;
+  if (hasSplit) stageFilter = "url(#beat-rgb-split)";
+  if (hasFlash) stageFilter = "url(#beat-flash)";
+  return (
+    <div className="beat-effect-frame">
+      <div
+        ref={stageRef}
+        className="beat-effect-stage"
+        style={stageFilter ? { filter: stageFilter } : undefined}
+      >
+        {children}
+      </div>
+      {hasFlash && (
+        <svg className="beat-effect-filters" aria-hidden="true">
+          {/* Runs the export's flash curve, see getBeatEffectFrame */}
+          <filter id="beat-flash" colorInterpolationFilters="sRGB">
+            <feColorMatrix ref={flashMatrixRef} type="matrix" />
+          </filter>
+        </svg>
+      )}
+      {hasSplit && (
+        <svg className="beat-effect-filters" aria-hidden="true">
+          <filter id="beat-rgb-split" colorInterpolationFilters="sRGB">
+            <feColorMatrix
+              in="SourceGraphic"
+              values="1 0 0 0 0 0 0 0 0 0 0 0 0 0 0 0 0 0 1 0"
+              result="red"
+            />
+            <feOffset ref={redShiftRef} in="red" result="redShift" />
+            <feColorMatrix
+              in="SourceGraphic"
+              values="0 0 0 0 0 0 1 0 0 0 0 0 0 0 0 0 0 0 1 0"
+              result="green"
+            />
+            <feColorMatrix
+              in="SourceGraphic"
+              values="0 0 0 0 0 0 0 0 0 0 0 0 1 0 0 0 0 0 1 0"
+              result="blue"
+            />
+            <feOffset ref={blueShiftRef} in="blue" result="blueShift" />
+            <feBlend in="redShift" in2="green" mode="screen" result="redGreen" />
+            <feBlend in="redGreen" in2="blueShift" mode="screen" />
+          </filter>
+        </svg>
+      )}
+    </div>
+  );
+};
 
-    console.log("Updated selection:", {
-      selectedIndices: [...selectedIndices, index].join(", "),
-      index,
-    });
-  };
+//--------------------------------------------
+// Caption Overlay Component
+//--------------------------------------------
+const CaptionOverlay = ({ caption, slideDuration, isOutgoing }) => {
+  if (!hasCaption(caption)) return null;
+  const timing = getCaptionTiming(caption, slideDuration);
+  if (!timing) return null;
 
-  // Handle photo selection in delete mode
-  const handlePhotoSelectForDelete = (index) => {
-    if (mode !== "delete") return;
+  const runsToEnd = captionRunsToEnd(caption);
+  // A leaving slide only keeps captions that last until it is gone
+  if (isOutgoing && !runsToEnd) return null;
 
-    // Check if already selected for deletion
-    const isSelected = selectedToDelete.includes(index);
+  return (
+    <div className="slide-caption-layer">
+      <div
+        className={isOutgoing ? "" : "slide-caption"}
+        style={{
+          ...getCaptionStyle(caption),
+          ...(isOutgoing
+            ? {}
+            : {
+                animationDelay: `${timing.start}s`,
+                animationDuration: `${timing.end - timing.start}s`,
+                animationFillMode: runsToEnd ? "forwards" : "none",
+              }),
+        }}
+      >
+        {caption.text}
+      </div>
+    </div>
+  );
+};
 
-    if (isSelected) {
-      // If already selected, remove it
-      setSelectedToDelete(selectedToDelete.filter((idx) => idx !== index));
-    } else {
-      // If not selected, add it
-      setSelectedToDelete([...selectedToDelete, index]);
-    }
+//--------------------------------------------
+// Caption Settings Component
+//--------------------------------------------
+const CaptionSettings = ({ caption, onChange }) => {
+  const labelStyle = {
+    display: "flex",
+    alignItems: "center",
+    gap: "6px",
+    fontSize: "0.9em",
+  };
+  const numberInputStyle = {
+    width: "60px",
+    padding: "4px",
+    borderRadius: "4px",
+    border: "1px solid rgba(255,255,255,0.3)",
+    background: "transparent",
+    color: "white",
   };
 
-  // Apply reordering
-  const handleApplyReorder = () => {
-    if (selectedIndices.length === 0) {
-      // Nothing to reorder
-      setMode("view");
-      return;
-    }
+  return (
+    <>
+      <textarea
+        value={caption.text}
+        onChange={(e) => onChange({ text: e.target.value })}
+        placeholder="Caption or title text"
+        rows={2}
+        style={{
+          width: "100%",
+          boxSizing: "border-box",
+          padding: "6px 8px",
+          borderRadius: "5px",
+          border: "1px solid rgba(255,255,255,0.3)",
+          background: "rgba(0,0,0,0.3)",
+          color: "white",
+          resize: "vertical",
+        }}
+      />
+      {hasCaption(caption) && (
+        <>
+          {[
+            { key: "position", options: CAPTION_POSITIONS },
+            { key: "font", options: CAPTION_FONTS },
+            { key: "effect", options: CAPTION_EFFECTS },
+          ].map(({ key, options }) => (
+            <div className="bar-options" key={key}>
+              {options.map((option) => (
+                <button
+                  key={option.value}
+                  className={`bar-option ${
+                    caption[key] === option.value ? "selected" : ""
+                  }`}
+                  onClick={() => onChange({ [key]: option.value })}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          ))}
+          <div
+            style={{
+              display: "flex",
+              flexWrap: "wrap",
+              gap: "12px",
+              marginTop: "8px",
+            }}
+          >
+            <label style={labelStyle}>
+              Size
+              <input
+                type="range"
+                min={CAPTION_MIN_SIZE}
+                max={CAPTION_MAX_SIZE}
+                step="0.5"
+                value={caption.size}
+                onChange={(e) => onChange({ size: Number(e.target.value) })}
+              />
+            </label>
+            <label style={labelStyle}>
+              Color
+              <input
+                type="color"
+                value={caption.color}
+                onChange={(e) => onChange({ color: e.target.value })}
+              />
+            </label>
+            {caption.effect !== "none" && (
+              <label style={labelStyle}>
+                {caption.effect === "stroke" ? "Outline" : "Shadow"}
+                <input
+                  type="color"
+                  value={caption.effectColor}
+                  onChange={(e) => onChange({ effectColor: e.target.value })}
+                />
+              </label>
+            )}
+          </div>
+          <div
+            style={{
+              display: "flex",
+              flexWrap: "wrap",
+              gap: "12px",
+              marginTop: "8px",
+            }}
+          >
+            <label style={labelStyle}>
+              In (s)
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={caption.start}
+                onChange={(e) =>
+                  onChange({ start: Math.max(0, Number(e.target.value) || 0) })
+                }
+                style={numberInputStyle}
+              />
+            </label>
+            <label style={labelStyle}>
+              Out (s)
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={captionRunsToEnd(caption) ? "" : caption.end}
+                placeholder="End"
+                onChange={(e) =>
+                  onChange({
+                    end:
+                      e.target.value === ""
+                        ? null
+                        : Math.max(0, Number(e.target.value) || 0),
+                  })
+                }
+                style={numberInputStyle}
+              />
+            </label>
+          </div>
+        </>
+      )}
+    </>
+  );
+};
 
-    // Create a new ordered array based on the selected indices
-    let newOrder = [];
+//--------------------------------------------
+// Clip Settings Component
+//--------------------------------------------
+const ClipSettings = ({ clip, slideDuration, onChange }) => {
+  const { start, end, maxStart } = getClipRange(clip, slideDuration);
 
-    // First add all selected stories in the order they were selected
-    for (let i = 0; i < selectedIndices.length; i++) {
-      const storyIndex = selectedIndices[i];
-      newOrder.push(stories[storyIndex]);
-    }
+  return (
+    <>
+      <label
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: "6px",
+          fontSize: "0.9em",
+        }}
+      >
+        In point
+        <input
+          type="range"
+          min="0"
+          max={maxStart}
+          step="0.1"
+          value={start}
+          disabled={maxStart === 0}
+          onChange={(e) => onChange({ start: Number(e.target.value) })}
+          style={{ flex: 1 }}
+        />
+      </label>
+      <div style={{ fontSize: "0.85em", opacity: 0.8, margin: "4px 0" }}>
+        In {start.toFixed(1)}s → Out {end.toFixed(1)}s
+        {clip.duration < slideDuration &&
+          " (clip is shorter than the slide, its last frame is held)"}
+      </div>
+      <div className="bar-options">
+        {CLIP_AUDIO_OPTIONS.map((option) => (
+          <button
+            key={option.label}
+            className={`bar-option ${
+              !!clip.keepAudio === option.value ? "selected" : ""
+            }`}
+            onClick={() => onChange({ keepAudio: option.value })}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+    </>
+  );
+};
 
-    // Then add all unselected stories to the end
-    for (let i = 0; i < stories.length; i++) {
-      if (!selectedIndices.includes(i)) {
-        newOrder.push(stories[i]);
-      }
+//--------------------------------------------
+// Crop Settings Component
+//--------------------------------------------
+// Tap or drag on the photo to pick the spot the slide keeps in view. The
+// small frame next to it shows the slide as it plays.
+const CropSettings = ({ story, fitMode, onChange, onMeasure }) => {
+  const imageUrl = useMediaUrl(getStillMediaId(story));
+  const crop = getCrop(story.crop);
+
+  const handlePointer = (e) => {
+    if (e.type === "pointermove" && e.buttons === 0) return;
+    if (e.type === "pointerdown") {
+      e.currentTarget.setPointerCapture(e.pointerId);
     }
-
-    console.log("Reordering stories:", {
-      originalOrder: stories.map((s) => s.url),
-      newOrder: newOrder.map((s) => s.url),
-      selectedIndices,
+    const rect = e.currentTarget.getBoundingClientRect();
+    const toShare = (value) =>
+      Number(Math.min(1, Math.max(0, value)).toFixed(3));
+    onChange({
+      x: toShare((e.clientX - rect.left) / rect.width),
+      y: toShare((e.clientY - rect.top) / rect.height),
     });
+  };
 
-    // Apply the reordering
-    onReorder(newOrder);
+  if (!imageUrl) return null;
 
-    // Reset and go back to view mode
+  return (
+    <>
+      <div style={{ display: "flex", gap: "10px", alignItems: "flex-start" }}>
+        <div
+          onPointerDown={handlePointer}
+          onPointerMove={handlePointer}
+          style={{
+            position: "relative",
+            cursor: "crosshair",
+            touchAction: "none",
+            lineHeight: 0,
+          }}
+        >
+          <img
+            src={imageUrl}
+            alt="Pick the focal point"
+            draggable={false}
+            onLoad={(e) =>
+              onMeasure(e.target.naturalWidth, e.target.naturalHeight)
+            }
+            style={{ maxWidth: "160px", maxHeight: "140px", display: "block" }}
+          />
+          <div
+            style={{
+              position: "absolute",
+              left: `${crop.x * 100}%`,
+              top: `${crop.y * 100}%`,
+              width: "14px",
+              height: "14px",
+              margin: "-9px 0 0 -9px",
+              border: "2px solid white",
+              borderRadius: "50%",
+              boxShadow: "0 0 3px rgba(0,0,0,0.8)",
+              pointerEvents: "none",
+            }}
+          />
+        </div>
+        <div
+          style={{
+            position: "relative",
+            width: "79px",
+            height: "140px",
+            overflow: "hidden",
+            background: "#000",
+            containerType: "size",
+            flexShrink: 0,
+          }}
+        >
+          <img
+            src={imageUrl}
+            alt="Framing preview"
+            style={getSlideMediaStyle(story, fitMode)}
+          />
+        </div>
+      </div>
+      <label
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: "6px",
+          fontSize: "0.9em",
+          marginTop: "6px",
+        }}
+      >
+        Zoom
+        <input
+          type="range"
+          min="1"
+          max={MAX_CROP_ZOOM}
+          step="0.05"
+          value={crop.zoom}
+          onChange={(e) => onChange({ zoom: Number(e.target.value) })}
+          style={{ flex: 1 }}
+        />
+        {crop.zoom.toFixed(2)}×
+      </label>
+      <div className="bar-options">
+        <button
+          className="bar-option"
+          disabled={!hasCrop(story.crop)}
+          onClick={() => onChange(null)}
+        >
+          Center
+        </button>
+      </div>
+    </>
+  );
+};
+
+//--------------------------------------------
+// Slide Settings Component
+//--------------------------------------------
+const SlideSettings = ({
+  story,
+  index,
+  slideDuration,
+  imageFitMode,
+  onUpdateStory,
+  onApplyToAll,
+}) => {
+  const motion = story.motion || DEFAULT_MOTION;
+  const bars = story.bars || null;
+  const caption = { ...DEFAULT_CAPTION, ...(story.caption || {}) };
+  // Fit to song can give a slide a length the presets don't list
+  const lengthOptions = [{ value: null, label: "Default" }, ...BAR_OPTIONS];
+  if (!lengthOptions.some((option) => option.value === bars)) {
+    lengthOptions.push({ value: bars, label: `${Number(bars.toFixed(2))} Bars` });
+  }
+  // Capture details read on import
+  const photoDetails = [
+    story.takenAt && new Date(story.takenAt).toLocaleString(),
+    story.camera,
+    story.location,
+  ].filter(Boolean);
+
+  return (
+    <div
+      className="slide-settings"
+      style={{
+        padding: "10px 15px",
+        borderBottom: "1px solid rgba(255,255,255,0.1)",
+      }}
+    >
+      {photoDetails.length > 0 && (
+        <div style={{ fontSize: "0.85em", opacity: 0.8, margin: "0 0 8px" }}>
+          {photoDetails.join(" · ")}
+        </div>
+      )}
+      <h4 style={{ margin: "0 0 8px" }}>Slide {index + 1} Length</h4>
+      <div className="bar-options">
+        {lengthOptions.map((option) => (
+          <button
+            key={option.label}
+            className={`bar-option ${bars === option.value ? "selected" : ""}`}
+            onClick={() => onUpdateStory(index, { bars: option.value })}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+      {isVideoStory(story) && (
+        <>
+          <h4 style={{ margin: "8px 0" }}>Slide {index + 1} Clip</h4>
+          <ClipSettings
+            clip={{ ...DEFAULT_CLIP, ...story.clip }}
+            slideDuration={slideDuration}
+            onChange={(changes) =>
+              onUpdateStory(index, { clip: { ...story.clip, ...changes } })
+            }
+          />
+        </>
+      )}
+      <h4 style={{ margin: "8px 0" }}>Slide {index + 1} Framing</h4>
+      <CropSettings
+        story={story}
+        fitMode={imageFitMode}
+        onChange={(changes) =>
+          onUpdateStory(index, {
+            crop: changes ? { ...getCrop(story.crop), ...changes } : null,
+          })
+        }
+        onMeasure={(width, height) => {
+          // Slides from older sessions don't know their image size yet
+          if (story.width !== width || story.height !== height) {
+            onUpdateStory(index, { width, height });
+          }
+        }}
+      />
+      <h4 style={{ margin: "8px 0" }}>Slide {index + 1} Motion</h4>
+      <div className="bar-options">
+        {MOTION_MODES.map((option) => (
+          <button
+            key={option.value}
+            className={`bar-option ${
+              motion.mode === option.value ? "selected" : ""
+            }`}
+            onClick={() =>
+              onUpdateStory(index, { motion: { ...motion, mode: option.value } })
+            }
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+      {motion.mode === "pan" && (
+        <div className="bar-options">
+          {MOTION_DIRECTIONS.map((option) => (
+            <button
+              key={option.value}
+              className={`bar-option ${
+                motion.direction === option.value ? "selected" : ""
+              }`}
+              onClick={() =>
+                onUpdateStory(index, {
+                  motion: { ...motion, direction: option.value },
+                })
+              }
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      )}
+      <h4 style={{ margin: "8px 0" }}>Slide {index + 1} Caption</h4>
+      <CaptionSettings
+        caption={caption}
+        onChange={(changes) =>
+          onUpdateStory(index, { caption: { ...caption, ...changes } })
+        }
+      />
+      <button
+        onClick={() => onApplyToAll({ motion, bars })}
+        style={{
+          background: "none",
+          border: "1px solid rgba(255,255,255,0.3)",
+          color: "white",
+          cursor: "pointer",
+          padding: "5px 15px",
+          borderRadius: "5px",
+          marginTop: "8px",
+        }}
+      >
+        Apply to All Slides
+      </button>
+    </div>
+  );
+};
+
+//--------------------------------------------
+// Edit Panel Component
+//--------------------------------------------
+// Edit Panel Component
+const EditPanel = ({
+  stories,
+  slideDurations,
+  imageFitMode,
+  onClose,
+  onReorder,
+  onDelete,
+  onUpdateStory,
+  onApplyToAll,
+  saveStateOnEditPanelToggle,
+}) => {
+  // Mode state
+  const [mode, setMode] = useState("view"); // "view", "reorder", "delete", "settings"
+
+  // For settings mode
+  const [selectedSlide, setSelectedSlide] = useState(null);
+
+  // For reorder mode
+  const [selectedIndices, setSelectedIndices] = useState([]);
+  const [tempOrder, setTempOrder] = useState([]);
+
+  // For delete mode
+  const [selectedToDelete, setSelectedToDelete] = useState([]);
+
+  // Initialize tempOrder with existing stories when entering reorder mode
+  useEffect(() => {
+    if (mode === "reorder") {
+      setTempOrder([...stories]);
+      setSelectedIndices([]);
+    } else if (mode === "delete") {
+      setSelectedToDelete([]);
+    }
+  }, [mode, stories]);
+
+  // Handle entering reorder mode
+  const handleEnterReorderMode = () => {
+    setMode("reorder");
+  };
+
+  // Handle entering delete mode
+  const handleEnterDeleteMode = () => {
+    setMode("delete");
+  };
+
+  // Handle entering slide settings mode
+  const handleEnterSettingsMode = () => {
+    setSelectedSlide(stories.length > 0 ? 0 : null);
+    setMode("settings");
+  };
+
+  // Handle going back to view mode
+  const handleBack = () => {
+    setMode("view");
+  };
+
+  // Handle photo selection in reorder mode
+  const handlePhotoSelectForReorder = (index) => {
+    if (mode !== "reorder") return;
+
+    // Check if already in selected indices
+    const indexInSelection = selectedIndices.indexOf(index);
+
+    if (indexInSelection !== -1) {
+      // If already selected, remove it
+      const newSelectedIndices = [...selectedIndices];
+      newSelectedIndices.splice(indexInSelection, 1);
+      setSelectedIndices(newSelectedIndices);
+    } else {
+      // If not selected, add it to the end
+      setSelectedIndices([...selectedIndices, index]);
+    }
+
+    console.log("Updated selection:", {
+      selectedIndices: [...selectedIndices, index].join(", "),
+      index,
+    });
+  };
+
+  // Handle photo selection in delete mode
+  const handlePhotoSelectForDelete = (index) => {
+    if (mode !== "delete") return;
+
+    // Check if already selected for deletion
+    const isSelected = selectedToDelete.includes(index);
+
+    if (isSelected) {
+      // If already selected, remove it
+      setSelectedToDelete(selectedToDelete.filter((idx) => idx !== index));
+    } else {
+      // If not selected, add it
+      setSelectedToDelete([...selectedToDelete, index]);
+    }
+  };
+
+  // Apply reordering
+  const handleApplyReorder = () => {
+    if (selectedIndices.length === 0) {
+      // Nothing to reorder
+      setMode("view");
+      return;
+    }
+
+    // Create a new ordered array based on the selected indices
+    let newOrder = [];
+
+    // First add all selected stories in the order they were selected
+    for (let i = 0; i < selectedIndices.length; i++) {
+      const storyIndex = selectedIndices[i];
+      newOrder.push(stories[storyIndex]);
+    }
+
+    // Then add all unselected stories to the end
+    for (let i = 0; i < stories.length; i++) {
+      if (!selectedIndices.includes(i)) {
+        newOrder.push(stories[i]);
+      }
+    }
+
+    console.log("Reordering stories:", {
+      originalOrder: stories.map((s) => s.mediaId),
+      newOrder: newOrder.map((s) => s.mediaId),
+      selectedIndices,
+    });
+
+    // Apply the reordering
+    onReorder(newOrder);
+
+    // Reset and go back to view mode
+    setSelectedIndices([]);
+    setMode("view");
+  };
+
+  // Put the photos in the order they were taken
+  const hasCaptureDates = stories.some((story) => story.takenAt);
+  const handleSortByDateTaken = () => {
+    onReorder(sortByDateTaken(stories));
     setSelectedIndices([]);
     setMode("view");
   };
@@ -1980,7 +2834,32 @@ const EditPanel = ({
                 <Trash2 size={18} />
                 <span>Delete</span>
               </button>
-  
+              <button
+                className="mode-button"
+                onClick={handleEnterSettingsMode}
+                style={{
+                  background: "none",
+                  border: "none",
+                  color: "white",
+                  cursor: "pointer",
+                  display: "flex",
+                  alignItems: "center",
+                  gap: "5px",
+                  padding: "5px 10px",
+                  borderRadius: "5px",
+                  transition: "background-color 0.2s",
+                }}
+                onMouseOver={(e) =>
+                  (e.currentTarget.style.backgroundColor =
+                    "rgba(255,255,255,0.1)")
+                }
+                onMouseOut={(e) =>
+                  (e.currentTarget.style.backgroundColor = "transparent")
+                }
+              >
+                <SlidersHorizontal size={18} />
+                <span>Slide</span>
+              </button>
             </div>
           </>
         ) : mode === "reorder" ? (
@@ -2013,6 +2892,26 @@ const EditPanel = ({
               <h3 style={{ margin: 0 }}>Reorder Photos</h3>
             </div>
             <div style={{ display: "flex", gap: "10px" }}>
+              <button
+                onClick={handleSortByDateTaken}
+                style={{
+                  background: "none",
+                  border: "1px solid rgba(255,255,255,0.3)",
+                  color: "white",
+                  cursor: "pointer",
+                  padding: "5px 15px",
+                  borderRadius: "5px",
+                  opacity: hasCaptureDates ? 1 : 0.5,
+                }}
+                disabled={!hasCaptureDates}
+                title={
+                  hasCaptureDates
+                    ? "Sort slides by when the photos were taken"
+                    : "None of the photos has a capture date"
+                }
+              >
+                By Date Taken
+              </button>
               <button
                 onClick={handleCancel}
                 style={{
@@ -2107,6 +3006,36 @@ const EditPanel = ({
               </button>
             </div>
           </>
+        ) : mode === "settings" ? (
+          <>
+            <div style={{ display: "flex", alignItems: "center", gap: "10px" }}>
+              <button
+                onClick={handleBack}
+                style={{
+                  background: "none",
+                  border: "none",
+                  color: "white",
+                  cursor: "pointer",
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "center",
+                  width: "30px",
+                  height: "30px",
+                  borderRadius: "50%",
+                }}
+                onMouseOver={(e) =>
+                  (e.currentTarget.style.backgroundColor =
+                    "rgba(255,255,255,0.1)")
+                }
+                onMouseOut={(e) =>
+                  (e.currentTarget.style.backgroundColor = "transparent")
+                }
+              >
+                <X size={20} />
+              </button>
+              <h3 style={{ margin: 0 }}>Slide Settings</h3>
+            </div>
+          </>
         ) : null}
       </div>
 
@@ -2139,6 +3068,33 @@ const EditPanel = ({
         </div>
       )}
 
+      {mode === "settings" && (
+        <div
+          style={{
+            padding: "10px 15px",
+            backgroundColor: "rgba(108, 13, 156, 0.2)",
+            borderBottom: "1px solid rgba(255,255,255,0.1)",
+            fontSize: "14px",
+            textAlign: "center",
+          }}
+        >
+          Select a photo to adjust its settings
+        </div>
+      )}
+
+      {mode === "settings" &&
+        selectedSlide !== null &&
+        stories[selectedSlide] && (
+          <SlideSettings
+            story={stories[selectedSlide]}
+            index={selectedSlide}
+            slideDuration={slideDurations[selectedSlide]}
+            imageFitMode={imageFitMode}
+            onUpdateStory={onUpdateStory}
+            onApplyToAll={onApplyToAll}
+          />
+        )}
+
       {/* Thumbnails grid */}
       <div
         className="thumbnails-container"
@@ -2154,7 +3110,10 @@ const EditPanel = ({
         }}
       >
         {stories.map((story, index) => {
-          const isSelected = selectedIndices.includes(index);
+          const isSelected =
+            mode === "settings"
+              ? selectedSlide === index
+              : selectedIndices.includes(index);
           const selectionOrder = isSelected
             ? selectedIndices.indexOf(index) + 1
             : null;
@@ -2167,6 +3126,8 @@ const EditPanel = ({
                   handlePhotoSelectForReorder(index);
                 } else if (mode === "delete") {
                   handlePhotoSelectForDelete(index);
+                } else if (mode === "settings") {
+                  setSelectedSlide(index);
                 }
               }}
               style={{
@@ -2193,16 +3154,7 @@ const EditPanel = ({
                   overflow: "hidden",
                 }}
               >
-                <img
-                  src={story.thumbnailData || story.url}
-                  alt={`Slide ${index + 1}`}
-                  style={{
-                    width: "100%",
-                    height: "100%",
-                    objectFit: "cover",
-                    borderRadius: "6px",
-                  }}
-                />
+                <SlideThumbnail story={story} alt={`Slide ${index + 1}`} />
 
                 {/* Reorder mode indicator */}
                 {mode === "reorder" && (
@@ -2262,6 +3214,98 @@ const EditPanel = ({
 //==============================================
 // BOTTOM MENU COMPONENT
 //==============================================
+//--------------------------------------------
+// Fit To Song Component
+//--------------------------------------------
+// Spreads the slides across a region of the music that starts at the music
+// start point, either a target length or up to an end point
+const FitToSong = ({ slideCount, bpm, musicStartPoint, audioRef, onFit }) => {
+  const [target, setTarget] = useState(FIT_TARGET_LENGTHS[1]);
+  // The end point is kept relative to the start point, so it moves along
+  // when the start point changes
+  const [endOffset, setEndOffset] = useState(FIT_TARGET_LENGTHS[1]);
+  const musicDuration =
+    audioRef.current && Number.isFinite(audioRef.current.duration)
+      ? audioRef.current.duration
+      : null;
+  const endPoint = Math.min(
+    musicStartPoint + endOffset,
+    musicDuration ?? Infinity
+  );
+  const regionSeconds =
+    target === "end" ? endPoint - musicStartPoint : target;
+  const fit = fitSlidesToLength(slideCount, regionSeconds, bpm);
+  const runsPastMusic =
+    fit &&
+    musicDuration !== null &&
+    musicStartPoint + fit.seconds > musicDuration + 0.01;
+
+  return (
+    <>
+      <h3>Fit to Song</h3>
+      <div className="bar-options">
+        {FIT_TARGET_LENGTHS.map((seconds) => (
+          <button
+            key={seconds}
+            className={`bar-option ${target === seconds ? "selected" : ""}`}
+            onClick={() => setTarget(seconds)}
+          >
+            {seconds}s
+          </button>
+        ))}
+        <button
+          className={`bar-option ${target === "end" ? "selected" : ""}`}
+          onClick={() => setTarget("end")}
+        >
+          To End Point
+        </button>
+      </div>
+      {target === "end" && (
+        <div className="duration-info">
+          <label>
+            End point (s):{" "}
+            <input
+              type="number"
+              min={musicStartPoint}
+              max={musicDuration || undefined}
+              step="0.1"
+              value={Number(endPoint.toFixed(2))}
+              onChange={(e) =>
+                setEndOffset(Number(e.target.value) - musicStartPoint)
+              }
+            />
+          </label>
+        </div>
+      )}
+      <div className="duration-info">
+        <span>
+          {fit
+            ? `${slideCount} slides over ${fit.totalBars} bars`
+            : "The region is too short for these slides"}
+        </span>
+        {fit && (
+          <span className="time-info">
+            {musicStartPoint.toFixed(2)}s –{" "}
+            {(musicStartPoint + fit.seconds).toFixed(2)}s
+          </span>
+        )}
+        {runsPastMusic && (
+          <span className="fit-warning">
+            The music ends before the last slide
+          </span>
+        )}
+      </div>
+      <button
+        className="bar-option"
+        disabled={!fit}
+        onClick={() => onFit(fit.bars)}
+      >
+        Fit Slides
+      </button>
+    </>
+  );
+};
+
 const BottomMenu = ({
   onFileUpload,
   onSaveSession,
@@ -2270,6 +3314,9 @@ const BottomMenu = ({
   isPlaying,
   duration,
   onDurationChange,
+  rhythmPattern,
+  onRhythmPatternChange,
+  onFitToSong,
   onEdit,
   onMusicUpload,
   onBPMChange,
@@ -2287,6 +3334,15 @@ const BottomMenu = ({
   handleDelete,
   handleReorder,
   saveStateOnEditPanelToggle,
+  transition,
+  onTransitionChange,
+  background,
+  onBackgroundChange,
+  beatEffect,
+  onBeatEffectChange,
+  handleUpdateStory,
+  handleApplyToAllStories,
+  imageFitMode,
 }) => {
   const [showDurationPanel, setShowDurationPanel] = useState(false);
   const [showMusicPanel, setShowMusicPanel] = useState(false);
@@ -2320,6 +3376,23 @@ const BottomMenu = ({
     const newDuration = calculateDuration(bars, bpm);
     onDurationChange(newDuration);
   };
+  // Playback timers read the slide lengths when they start, so stop first
+  const handleRhythmPatternChange = (pattern) => {
+    if (isPlaying) {
+      onPlayPause();
+    }
+    onRhythmPatternChange(pattern);
+  };
+  const handleFitToSong = (bars) => {
+    if (isPlaying) {
+      onPlayPause();
+    }
+    onFitToSong(bars);
+  };
+  const activePattern = findRhythmPattern(rhythmPattern);
+  const patternBars = rhythmPattern
+    ? rhythmPattern.reduce((total, bars) => total + bars, 0)
+    : 0;
   
   const barOptions = [
     { value: 0.125, label: "⅛ Bar" },
@@ -2378,17 +3451,14 @@ const BottomMenu = ({
           <div className="duration-controls">
             <h3>Bar-Based Slide Transitions</h3>
             <div className="bar-options">
-              {[
-                { value: 0.125, label: "⅛ Bar" },
-                { value: 0.25, label: "¼ Bar" },
-                { value: 0.5, label: "½ Bar" },
-                { value: 1, label: "1 Bar" },
-                { value: 2, label: "2 Bars" },
-                { value: 4, label: "4 Bars" },
-              ].map((option) => (
+              {BAR_OPTIONS.map((option) => (
                 <button
                 key={option.value}
-                className={`bar-option ${selectedBar === option.value ? "selected" : ""}`}
+                className={`bar-option ${
+                  !rhythmPattern && selectedBar === option.value
+                    ? "selected"
+                    : ""
+                }`}
                 onClick={() => {
                   // OPTION #1: Stop playback if currently playing
                   if (isPlaying) {
@@ -2399,6 +3469,8 @@ const BottomMenu = ({
                   const newDuration = calculateDuration(option.value, bpm);
                   setSelectedBar(option.value);
                   onDurationChange(newDuration);
+                  // A fixed length replaces the rhythm pattern
+                  onRhythmPatternChange(null);
                 }}
               >
                 {option.label}
@@ -2411,6 +3483,242 @@ const BottomMenu = ({
                 {duration.toFixed(2)}s /{bpm} BPM
               </span>
             </div>
+            <h3>Rhythm Pattern</h3>
+            <div className="bar-options">
+              <button
+                className={`bar-option ${!rhythmPattern ? "selected" : ""}`}
+                onClick={() => handleRhythmPatternChange(null)}
+              >
+                Off
+              </button>
+              {RHYTHM_PATTERNS.map((option) => (
+                <button
+                  key={option.value}
+                  className={`bar-option ${
+                    activePattern === option ? "selected" : ""
+                  }`}
+                  onClick={() => handleRhythmPatternChange(option.bars)}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            {rhythmPattern && (
+              <>
+                <div className="rhythm-steps">
+                  {rhythmPattern.map((bars, step) => (
+                    <div key={step} className="rhythm-step">
+                      <select
+                        value={bars}
+                        aria-label={`Step ${step + 1} length`}
+                        onChange={(e) =>
+                          handleRhythmPatternChange(
+                            rhythmPattern.map((value, i) =>
+                              i === step ? Number(e.target.value) : value
+                            )
+                          )
+                        }
+                      >
+                        {BAR_OPTIONS.map((option) => (
+                          <option key={option.value} value={option.value}>
+                            {option.label}
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        className="rhythm-step-remove"
+                        aria-label={`Remove step ${step + 1}`}
+                        disabled={rhythmPattern.length === 1}
+                        onClick={() =>
+                          handleRhythmPatternChange(
+                            rhythmPattern.filter((_, i) => i !== step)
+                          )
+                        }
+                      >
+                        <X size={14} />
+                      </button>
+                    </div>
+                  ))}
+                  {rhythmPattern.length < MAX_PATTERN_STEPS && (
+                    <button
+                      className="bar-option"
+                      onClick={() =>
+                        handleRhythmPatternChange([
+                          ...rhythmPattern,
+                          rhythmPattern[rhythmPattern.length - 1],
+                        ])
+                      }
+                    >
+                      + Step
+                    </button>
+                  )}
+                </div>
+                <div className="duration-info">
+                  <span>
+                    {activePattern ? activePattern.label : "Custom"} Pattern:
+                  </span>
+                  <span className="time-info">
+                    {patternBars} bars /{" "}
+                    {barsToSeconds(patternBars, bpm).toFixed(2)}s
+                  </span>
+                </div>
+              </>
+            )}
+            <FitToSong
+              slideCount={stories.length}
+              bpm={bpm}
+              musicStartPoint={musicStartPoint}
+              audioRef={audioRef}
+              onFit={handleFitToSong}
+            />
+            <h3>Transition</h3>
+            <div className="bar-options">
+              {TRANSITIONS.map((option) => (
+                <button
+                  key={option.value}
+                  className={`bar-option ${
+                    transition.type === option.value ? "selected" : ""
+                  }`}
+                  onClick={() =>
+                    onTransitionChange({ ...transition, type: option.value })
+                  }
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            {transition.type !== "none" && (
+              <>
+                <div className="bar-options">
+                  {TRANSITION_BEAT_OPTIONS.map((option) => (
+                    <button
+                      key={option.value}
+                      className={`bar-option ${
+                        transition.beats === option.value ? "selected" : ""
+                      }`}
+                      onClick={() =>
+                        onTransitionChange({
+                          ...transition,
+                          beats: option.value,
+                        })
+                      }
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+                <div className="duration-info">
+                  <span>Transition Length:</span>
+                  <span className="time-info">
+                    {getTransitionSeconds(transition, bpm, duration).toFixed(2)}s
+                  </span>
+                </div>
+              </>
+            )}
+            <h3>Background</h3>
+            <div className="bar-options">
+              {BACKGROUND_TYPES.map((option) => (
+                <button
+                  key={option.value}
+                  className={`bar-option ${
+                    background.type === option.value ? "selected" : ""
+                  }`}
+                  onClick={() =>
+                    onBackgroundChange({ ...background, type: option.value })
+                  }
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            {(background.type === "solid" ||
+              background.type === "gradient") && (
+              <div className="duration-info">
+                <span>
+                  {background.type === "gradient" ? "Colors:" : "Color:"}
+                </span>
+                <span>
+                  <input
+                    type="color"
+                    value={background.color}
+                    onChange={(e) =>
+                      onBackgroundChange({
+                        ...background,
+                        color: e.target.value,
+                      })
+                    }
+                  />
+                  {background.type === "gradient" && (
+                    <input
+                      type="color"
+                      value={background.gradientColor}
+                      onChange={(e) =>
+                        onBackgroundChange({
+                          ...background,
+                          gradientColor: e.target.value,
+                        })
+                      }
+                    />
+                  )}
+                </span>
+              </div>
+            )}
+            <h3>Beat Effects</h3>
+            <div className="bar-options">
+              {BEAT_EFFECTS.map((option) => (
+                <button
+                  key={option.value}
+                  className={`bar-option ${
+                    beatEffect.type === option.value ? "selected" : ""
+                  }`}
+                  onClick={() =>
+                    onBeatEffectChange({ ...beatEffect, type: option.value })
+                  }
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            {beatEffect.type !== "none" && (
+              <>
+                <div className="bar-options">
+                  {BEAT_EFFECT_TRIGGERS.map((option) => (
+                    <button
+                      key={option.value}
+                      className={`bar-option ${
+                        beatEffect.trigger === option.value ? "selected" : ""
+                      }`}
+                      onClick={() =>
+                        onBeatEffectChange({
+                          ...beatEffect,
+                          trigger: option.value,
+                        })
+                      }
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+                <div className="bar-options">
+                  {BEAT_EFFECT_INTENSITIES.map((option) => (
+                    <button
+                      key={option.value}
+                      className={`bar-option ${
+                        beatEffect.intensity === option.value ? "selected" : ""
+                      }`}
+                      onClick={() =>
+                        onBeatEffectChange({
+                          ...beatEffect,
+                          intensity: option.value,
+                        })
+                      }
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </>
+            )}
             {/*
 <div className="loop-toggle">
 <label>
@@ -2441,12 +3749,21 @@ Loop Slideshow
       {showEditPanel && (
         <EditPanel
           stories={stories}
+          slideDurations={getSlideDurations(
+            stories,
+            bpm,
+            duration,
+            rhythmPattern
+          )}
+          imageFitMode={imageFitMode}
           onClose={() => {
             setShowEditPanel(false);
             saveStateOnEditPanelToggle(false); // Save when closed with X button
           }}
           onReorder={handleReorder}
           onDelete={handleDelete}
+          onUpdateStory={handleUpdateStory}
+          onApplyToAll={handleApplyToAllStories}
         />
       )}
       <div className="bottom-menu-buttons">
@@ -2499,7 +3816,7 @@ Loop Slideshow
             <input
               type="file"
               id="file-upload-bottom"
-              accept="image/*"
+              accept={UPLOAD_ACCEPT}
               multiple
               onChange={onFileUpload}
               className="hidden-input"
@@ -2532,7 +3849,10 @@ Loop Slideshow
  * @param {string} options.fit - Fit mode ('cover' or 'contain')
  * @param {string} options.format - Output format ('jpeg' or 'png')
  * @param {number} options.quality - JPEG quality (0-1)
- * @returns {Promise<{dataUrl: string, width: number, height: number}>}
+ * @param {number} options.orientation - EXIF orientation to draw the image
+ *   upright with, 1 when the browser already does (see getDrawOrientation)
+ * @param {Object} options.crop - Focal point and zoom for the 'cover' fit
+ * @returns {Promise<{blob: Blob, width: number, height: number}>}
  */
 const resizeImage = (src, options = {}) => {
   const {
@@ -2541,6 +3861,8 @@ const resizeImage = (src, options = {}) => {
     fit = "cover",
     format = "jpeg",
     quality = 0.9,
+    orientation = 1,
+    crop = null,
   } = options;
 
   return new Promise((resolve, reject) => {
@@ -2550,9 +3872,13 @@ const resizeImage = (src, options = {}) => {
     const objectUrl = src instanceof Blob ? URL.createObjectURL(src) : null;
 
     img.onload = () => {
-      // Calculate dimensions while maintaining aspect ratio
+      // Calculate dimensions while maintaining aspect ratio, of the image
+      // as it is shown upright
       let targetWidth, targetHeight;
-      const imgRatio = img.width / img.height;
+      const isSideways = isSidewaysOrientation(orientation);
+      const imgRatio = isSideways
+        ? img.height / img.width
+        : img.width / img.height;
       const targetRatio = maxWidth / maxHeight;
 
       if (fit === "cover") {
@@ -2587,34 +3913,66 @@ const resizeImage = (src, options = {}) => {
       // Get context and draw image
       const ctx = canvas.getContext("2d");
 
-      // If using 'cover', we need to center the resized image
+      // If using 'cover', we need to place the resized image by its crop,
+      // centered when it has none
       let drawX = 0,
         drawY = 0;
 
       if (fit === "cover") {
-        drawX = (maxWidth - targetWidth) / 2;
-        drawY = (maxHeight - targetHeight) / 2;
+        ({
+          x: drawX,
+          y: drawY,
+          width: targetWidth,
+          height: targetHeight,
+        } = getCropPlacement(
+          crop,
+          targetWidth,
+          targetHeight,
+          maxWidth,
+          maxHeight,
+          "cover"
+        ));
       }
 
-      // Draw image
-      ctx.drawImage(img, drawX, drawY, targetWidth, targetHeight);
-
-      // Convert to data URL
-      const dataUrl = canvas.toDataURL(`image/${format}`, quality);
+      // Draw image, turned upright. Sideways images are stored with their
+      // width and height swapped.
+      ctx.translate(drawX, drawY);
+      ctx.transform(
+        ...getOrientationTransform(orientation, targetWidth, targetHeight)
+      );
+      ctx.drawImage(
+        img,
+        0,
+        0,
+        isSideways ? targetHeight : targetWidth,
+        isSideways ? targetWidth : targetHeight
+      );
 
       // Clean up object URL if created
       if (objectUrl) URL.revokeObjectURL(objectUrl);
 
-      resolve({
-        dataUrl,
-        width: canvas.width,
-        height: canvas.height,
-      });
+      // Encode straight to a Blob, a data URL would keep a base64 copy of
+      // the image in memory
+      canvas.toBlob(
+        (blob) => {
+          if (!blob) {
+            reject(new Error("Failed to encode image"));
+            return;
+          }
+          resolve({ blob, width: canvas.width, height: canvas.height });
+        },
+        `image/${format}`,
+        quality
+      );
     };
 
     img.onerror = (e) => {
       if (objectUrl) URL.revokeObjectURL(objectUrl);
-      reject(new Error("Failed to load image"));
+      reject(
+        new Error(
+          "The image could not be opened. It may be damaged or in a format this browser doesn't support."
+        )
+      );
     };
 
     // Set source
@@ -2625,15 +3983,78 @@ const resizeImage = (src, options = {}) => {
 /**
  * Create a small thumbnail version of an image
  * @param {string|Blob} src - Image source
- * @returns {Promise<string>} - Thumbnail data URL
+ * @param {number} [orientation] - EXIF orientation to draw with
+ * @param {Object} [crop] - Focal point and zoom of the slide
+ * @returns {Promise<Blob>} - Thumbnail image
  */
-const createThumbnail = (src) => {
+const createThumbnail = (src, orientation = 1, crop = null) => {
   return resizeImage(src, {
     maxWidth: 150,
     maxHeight: 150,
     fit: "cover",
     quality: 0.8,
-  }).then((result) => result.dataUrl);
+    orientation,
+    crop,
+  }).then((result) => result.blob);
+};
+
+/**
+ * Read the length of a video clip and grab its poster frame
+ * @param {File} file - Video file
+ * @returns {Promise<{poster: Blob, duration: number, width: number,
+ *   height: number}>} Poster frame as a JPEG that fits the display size,
+ *   the clip length in seconds and the poster size
+ */
+const readVideoClip = (file) => {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const video = document.createElement("video");
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = "auto";
+
+    video.onloadedmetadata = () => {
+      // A frame a little way in, the very first one is often black
+      video.currentTime = Math.min(0.5, video.duration / 2);
+    };
+    video.onseeked = () => {
+      const scale = Math.min(
+        1,
+        1080 / video.videoWidth,
+        1920 / video.videoHeight
+      );
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(video.videoWidth * scale);
+      canvas.height = Math.round(video.videoHeight * scale);
+      canvas
+        .getContext("2d")
+        .drawImage(video, 0, 0, canvas.width, canvas.height);
+      const { duration } = video;
+      URL.revokeObjectURL(url);
+      canvas.toBlob(
+        (poster) => {
+          if (!poster) {
+            reject(new Error("Failed to capture video frame"));
+            return;
+          }
+          resolve({
+            poster,
+            duration,
+            width: canvas.width,
+            height: canvas.height,
+          });
+        },
+        "image/jpeg",
+        0.9
+      );
+    };
+    video.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Failed to load video"));
+    };
+
+    video.src = url;
+  });
 };
 
 //==============================================
@@ -2646,6 +4067,14 @@ const StorySlider = () => {
   const [stories, setStories] = useState([]);
   const [isPlaying, setIsPlaying] = useState(false);
   const [duration, setDuration] = useState(2);
+  // Bar lengths the slides cycle through, null for one length for all
+  const [rhythmPattern, setRhythmPattern] = useState(null);
+  const [transition, setTransition] = useState(DEFAULT_TRANSITION);
+  const [background, setBackground] = useState(DEFAULT_BACKGROUND);
+  const [beatEffect, setBeatEffect] = useState(DEFAULT_BEAT_EFFECT);
+  // Slide transition preview
+  const [outgoingIndex, setOutgoingIndex] = useState(null);
+  const previousIndexRef = useRef(0);
   // UI State
   const [modalOpen, setModalOpen] = useState(false);
   const [showEditPanel, setShowEditPanel] = useState(false);
@@ -2663,6 +4092,9 @@ const StorySlider = () => {
   const [isExporting, setIsExporting] = useState(false);
   const [saveProgress, setSaveProgress] = useState(null);
   const [progressMessage, setProgressMessage] = useState("");
+  // Stage, frames, speed and ETA of the running export
+  const [progressDetails, setProgressDetails] = useState(null);
+  const [exportErrorMessage, setExportErrorMessage] = useState(null);
   const [showProgress, setShowProgress] = useState(false);
   // Music State
   const [musicUrl, setMusicUrl] = useState(null);
@@ -2672,13 +4104,14 @@ const StorySlider = () => {
   // Looping State
   const [isLoopingEnabled, setIsLoopingEnabled] = useState(false);
   // Image Preload
-  const [preloadedImages, setPreloadedImages] = useState({});
   // Touch State
   const [touchStart, setTouchStart] = useState(null);
   const [touchEnd, setTouchEnd] = useState(null);
   // Refs
   const audioRef = useRef(new Audio());
   const intervalRef = useRef(null);
+  // Latest slide index for the playback timers
+  const currentIndexRef = useRef(0);
 
   // cancel export flag
   const isCancelledRef = useRef(false);
@@ -2693,12 +4126,14 @@ const StorySlider = () => {
         "Are you sure you want to cancel the export? The process will stop immediately."
       )
     ) {
-      // Set the cancellation flag
+      // Set the cancellation flag and stop FFmpeg in the export worker
       isCancelledRef.current = true;
+      cancelExport();
 
       // Update UI state
       setIsExporting(false);
       setShowProgress(false);
+      setProgressDetails(null);
       setShowShareNotification(false);
 
       // Show a message to the user
@@ -2759,6 +4194,10 @@ const StorySlider = () => {
     setBpm(120);
     setMusicStartPoint(0);
     setDuration(2);
+    setTransition(DEFAULT_TRANSITION);
+    setRhythmPattern(null);
+    setBackground(DEFAULT_BACKGROUND);
+    setBeatEffect(DEFAULT_BEAT_EFFECT);
     setIsLoopingEnabled(false);
   };
   // Image Preload
@@ -2776,36 +4215,60 @@ const StorySlider = () => {
     window.currentImageFitMode = imageFitMode;
   }, [imageFitMode]);
 
-  // Add this useEffect to preload adjacent images
+  // Keep the images next to the current slide loaded, the media store lets
+  // go of the others. Video slides preload their poster frame.
   useEffect(() => {
-    const preloadAdjacentImages = async () => {
-      const indicesToPreload = [
-        currentIndex - 1,
-        currentIndex,
-        currentIndex + 1,
-      ].filter((index) => index >= 0 && index < stories.length);
-      for (const index of indicesToPreload) {
-        if (!preloadedImages[stories[index].url]) {
-          try {
-            await preloadImage(stories[index].url);
-            setPreloadedImages((prev) => ({
-              ...prev,
-              [stories[index].url]: true,
-            }));
-          } catch (error) {
-            console.error("Failed to preload image:", error);
-          }
-        }
-      }
-    };
-    if (stories.length > 0) {
-      preloadAdjacentImages();
-    }
+    const mediaIds = [currentIndex - 1, currentIndex, currentIndex + 1]
+      .filter((index) => index >= 0 && index < stories.length)
+      .map((index) => getStillMediaId(stories[index]));
+    mediaIds.forEach((id) =>
+      acquireMediaUrl(id)
+        .then(preloadImage)
+        .catch((error) => console.error("Failed to preload image:", error))
+    );
+    return () => mediaIds.forEach(releaseMediaUrl);
   }, [currentIndex, stories]);
 
-  // Load FFmpeg on mount
+  // Drop the media of slides that were removed or replaced
+  const mediaIdsRef = useRef(new Set());
+  useEffect(() => {
+    const mediaIds = new Set(stories.flatMap(getStoryMediaIds));
+    mediaIdsRef.current.forEach((id) => {
+      if (!mediaIds.has(id)) deleteMedia(id);
+    });
+    mediaIdsRef.current = mediaIds;
+  }, [stories]);
+
+  useEffect(() => {
+    currentIndexRef.current = currentIndex;
+  }, [currentIndex]);
+
+  // Play the slide transition whenever the visible slide changes. Changes to
+  // the timing settings alone leave a running transition alone.
+  useEffect(() => {
+    const previousIndex = previousIndexRef.current;
+    if (previousIndex === currentIndex) return;
+    previousIndexRef.current = currentIndex;
+    if (
+      !stories[previousIndex] ||
+      getTransitionSeconds(
+        transition,
+        bpm,
+        getSlideDuration(stories[currentIndex], bpm, duration, {
+          pattern: rhythmPattern,
+          index: currentIndex,
+        })
+      ) === 0
+    ) {
+      setOutgoingIndex(null);
+      return;
+    }
+    setOutgoingIndex(previousIndex);
+  }, [currentIndex, stories, transition, bpm, duration, rhythmPattern]);
+
+  // Load FFmpeg in the export worker on mount
   useEffect(() => {
-    loadFFmpeg().catch(console.error);
+    preloadExportWorker();
   }, []);
 
   // Handle file uploads
@@ -2829,100 +4292,126 @@ const StorySlider = () => {
       setIsPlaying(false);
     }
 
-    const files = Array.from(event.target.files).filter((file) =>
-      file.type.startsWith("image/")
+    const selectedFiles = Array.from(event.target.files);
+    const files = selectedFiles.filter(
+      (file) => isPhotoFile(file) || isClipFile(file)
     );
+    // Files that could not be added, with the reason
+    const failedFiles = selectedFiles
+      .filter((file) => !files.includes(file))
+      .map((file) => ({
+        name: file.name,
+        reason: "Unsupported format. Add photos or MP4, WebM or MOV clips.",
+      }));
 
     if (files.length === 0) {
-      alert("Please select image files only.");
+      alert("Please select photos or video clips only.");
       return;
     }
 
-    // Check if adding these files would exceed the 25 photo limit
-    const currentPhotoCount = stories.length;
-    const remainingSlots = 25 - currentPhotoCount;
-
-    if (remainingSlots <= 0) {
-      alert(
-        "Maximum limit of 25 photos reached. Please remove some photos before adding more."
-      );
-      return;
-    }
-
-    // Create a variable to store the files we'll actually process
-    let filesToProcess;
-    if (files.length > remainingSlots) {
-      alert(
-        `Only ${remainingSlots} photos can be added. Maximum limit of 25 photos reached.`
-      );
-      filesToProcess = files.slice(0, remainingSlots);
-    } else {
-      filesToProcess = files;
-    }
-
     // Show a progress modal if there are many images
     if (files.length > 3) {
       setShowProgress(true);
+      setExportErrorMessage(null);
       setProgressMessage("Processing images...");
       setSaveProgress(0);
     }
 
     // Process files one by one with resizing
-    const processedFiles = [];
-    const tempFiles = [];
-    const resolution = "1920x1080";
-    const [width, height] = resolution.split("x").map(Number);
     const newStories = [];
 
     // Process files one by one with resizing
-    for (let i = 0; i < filesToProcess.length; i++) {
-      const file = filesToProcess[i];
-      setProgressMessage(`Processing image ${i + 1}/${filesToProcess.length}`);
+    for (let i = 0; i < files.length; i++) {
+      const file = files[i];
+      setProgressMessage(`Processing image ${i + 1}/${files.length}`);
 
       try {
         // Update progress
-        if (filesToProcess.length > 3) {
-          setSaveProgress((i / filesToProcess.length) * 100);
+        if (files.length > 3) {
+          setSaveProgress((i / files.length) * 100);
           setProgressMessage(
-            `Processing image ${i + 1} of ${filesToProcess.length}...`
+            `Processing image ${i + 1} of ${files.length}...`
           );
         }
 
+        // Video clips are kept as they are, with a poster frame to stand in
+        // for them where a still image is needed
+        if (isClipFile(file)) {
+          const {
+            poster,
+            duration: clipDuration,
+            width,
+            height,
+          } = await readVideoClip(file);
+          if (clipDuration > MAX_CLIP_SECONDS) {
+            failedFiles.push({
+              name: file.name,
+              reason: `Clips can be up to ${MAX_CLIP_SECONDS} seconds long.`,
+            });
+            continue;
+          }
+          newStories.push({
+            type: "video",
+            mediaId: await saveMedia(file),
+            posterMediaId: await saveMedia(poster),
+            thumbnailMediaId: await saveMedia(await createThumbnail(poster)),
+            clip: { ...DEFAULT_CLIP, duration: clipDuration },
+            width,
+            height,
+            originalName: file.name,
+            dateAdded: new Date().toISOString(),
+          });
+          continue;
+        }
+
+        // Capture details, and the turn the photo needs to be upright
+        const { orientation: photoOrientation, ...details } =
+          await readPhotoMetadata(file);
+        const orientation = await getDrawOrientation(photoOrientation);
+        // HEIC photos are converted where the browser can't open them
+        const photo = await decodePhoto(file);
+
         // Create display version (for slideshow UI)
-        const displayImage = await resizeImage(file, {
+        const displayImage = await resizeImage(photo, {
           maxWidth: 1080, // Adjust based on typical display size
           maxHeight: 1920,
           fit: "contain", // Preserve aspect ratio
           quality: 0.9, // Good quality but smaller file size
+          orientation,
         });
 
-        // Create export version (pre-scaled to 1080p for FFmpeg)
-        const exportImage = await resizeImage(file, {
-          maxWidth: 1080,
+        // Create export version (pre-scaled for FFmpeg). The 1920 bound on
+        // both sides keeps it sharp for portrait, square and landscape frames
+        const exportImage = await resizeImage(photo, {
+          maxWidth: 1920,
           maxHeight: 1920,
           fit: "contain", // Match your export settings
           quality: 0.9, // Higher quality for export
+          orientation,
         });
 
         // Create thumbnail for edit panel
-        const thumbnailImage = await createThumbnail(file);
-
-        // Create a URL for the display version
-        const displayBlob = await fetch(displayImage.dataUrl).then((r) =>
-          r.blob()
-        );
-        const displayUrl = URL.createObjectURL(displayBlob);
+        const thumbnailImage = await createThumbnail(photo, orientation);
 
         newStories.push({
           type: "image",
-          url: displayUrl, // URL for display in slideshow
+          // Images live in the media store, stories only keep their IDs
+          mediaId: await saveMedia(displayImage.blob), // Slideshow display
+          exportMediaId: await saveMedia(exportImage.blob), // Export (1920px)
+          thumbnailMediaId: await saveMedia(thumbnailImage), // Edit panel
+          // Upright size of the display image, frames the crop
+          width: displayImage.width,
+          height: displayImage.height,
           originalName: file.name,
-          exportData: exportImage.dataUrl, // Pre-scaled for export (1080p)
-          thumbnailData: thumbnailImage, // Small thumbnail for edit panel
           dateAdded: new Date().toISOString(),
+          // When, with what and where it was taken, null when unknown
+          takenAt: details.takenAt,
+          camera: details.camera,
+          location: details.location,
         });
       } catch (error) {
         console.error(`Error processing image ${file.name}:`, error);
+        failedFiles.push({ name: file.name, reason: error.message });
       }
     }
 
@@ -2942,6 +4431,14 @@ const StorySlider = () => {
       setShowProgress(false);
     }
 
+    if (failedFiles.length > 0) {
+      alert(
+        `${failedFiles.length} of ${selectedFiles.length} files could not be added:\n\n${failedFiles
+          .map((failed) => `${failed.name}: ${failed.reason}`)
+          .join("\n")}`
+      );
+    }
+
     // Ensure we reset to the first image
     setCurrentIndex(0);
 
@@ -3012,28 +4509,45 @@ const StorySlider = () => {
     setDuration(newDuration);
   };
   // Playback control
-  const startAutoRotation = () => {
-    // Clear any existing interval first to prevent multiple timers
+  // Each slide gets its own timer, since slides can have different lengths.
+  // Timers aim at the absolute time the slide ends, so a late timer shortens
+  // the next wait instead of pushing every later slide off the beat.
+  const scheduleNextSlide = (index, slideStart = performance.now()) => {
+    const slideDuration = getSlideDuration(stories[index], bpm, duration, {
+      pattern: rhythmPattern,
+      index,
+    });
+    const slideEnd = slideStart + slideDuration * 1000;
+
+    intervalRef.current = setTimeout(() => {
+      // Follow manual navigation that happened while the slide was showing
+      const prevIndex = currentIndexRef.current;
+      // If we're not looping and at the last slide
+      if (!isLoopingEnabled && prevIndex >= stories.length - 1) {
+        stopAutoRotation(); // Stop rotation
+        if (audioRef.current) {
+          audioRef.current.pause(); // Stop music
+        }
+        return; // Keep at last slide
+      }
+      const nextIndex = (prevIndex + 1) % stories.length;
+      currentIndexRef.current = nextIndex;
+      setCurrentIndex(nextIndex);
+      scheduleNextSlide(nextIndex, slideEnd);
+    }, Math.max(0, slideEnd - performance.now()));
+  };
+
+  const startAutoRotation = (startIndex = currentIndex) => {
+    // Clear any existing timer first to prevent multiple timers
     if (intervalRef.current !== null) {
-      clearInterval(intervalRef.current);
-      console.log("Cleared existing interval before starting new one");
+      clearTimeout(intervalRef.current);
+      console.log("Cleared existing timer before starting new one");
     }
 
-    console.log("Starting auto rotation with duration:", duration * 1000, "ms");
+    console.log("Starting auto rotation from slide", startIndex + 1);
 
-    intervalRef.current = setInterval(() => {
-      setCurrentIndex((prevIndex) => {
-        // If we're not looping and at the last slide
-        if (!isLoopingEnabled && prevIndex >= stories.length - 1) {
-          stopAutoRotation(); // Stop rotation
-          if (audioRef.current) {
-            audioRef.current.pause(); // Stop music
-          }
-          return prevIndex; // Keep at last slide
-        }
-        return (prevIndex + 1) % stories.length;
-      });
-    }, duration * 1000);
+    currentIndexRef.current = startIndex;
+    scheduleNextSlide(startIndex);
   };
 
   const stopAutoRotation = () => {
@@ -3043,9 +4557,9 @@ const StorySlider = () => {
     );
 
     if (intervalRef.current !== null) {
-      clearInterval(intervalRef.current);
+      clearTimeout(intervalRef.current);
       intervalRef.current = null;
-      console.log("Interval cleared successfully");
+      console.log("Timer cleared successfully");
     } else {
       console.warn(
         "No interval to clear - this might indicate a syncing issue"
@@ -3067,8 +4581,9 @@ const StorySlider = () => {
     } else {
       // Play logic
       // Always reset to first slide when starting playback if at end
-      if (currentIndex >= stories.length - 1) {
-        setCurrentIndex(0);
+      const startIndex = currentIndex >= stories.length - 1 ? 0 : currentIndex;
+      if (startIndex !== currentIndex) {
+        setCurrentIndex(startIndex);
       }
   
       try {
@@ -3094,7 +4609,7 @@ const StorySlider = () => {
         }
         
         // Always start the slideshow rotation (even if audio fails)
-        startAutoRotation();
+        startAutoRotation(startIndex);
         setIsPlaying(true);
       } catch (err) {
         console.error("Playback error:", err);
@@ -3190,6 +4705,10 @@ const StorySlider = () => {
         setBpm(120);
         setMusicStartPoint(0);
         setDuration(2);
+        setTransition(DEFAULT_TRANSITION);
+        setRhythmPattern(null);
+        setBackground(DEFAULT_BACKGROUND);
+        setBeatEffect(DEFAULT_BEAT_EFFECT);
         setIsLoopingEnabled(false);
       }
     } else {
@@ -3238,6 +4757,59 @@ const StorySlider = () => {
     setCurrentIndex(0); // Reset to first position
     setStories(newStories);
   };
+  // Handle per-slide settings
+  const handleUpdateStory = (index, changes) => {
+    setStories((prevStories) =>
+      prevStories.map((story, i) =>
+        i === index ? { ...story, ...changes } : story
+      )
+    );
+    if ("crop" in changes && stories[index]) {
+      scheduleThumbnail(getStillMediaId(stories[index]), changes.crop);
+    }
+  };
+  // Redraw the edit panel thumbnail of a slide with its new crop, once the
+  // crop editor has been still for a moment
+  const thumbnailTimersRef = useRef(new Map());
+  const scheduleThumbnail = (stillId, crop) => {
+    const timers = thumbnailTimersRef.current;
+    clearTimeout(timers.get(stillId));
+    timers.set(
+      stillId,
+      setTimeout(async () => {
+        timers.delete(stillId);
+        try {
+          const thumbnail = await createThumbnail(
+            await loadMedia(stillId),
+            1,
+            crop
+          );
+          const thumbnailMediaId = await saveMedia(thumbnail);
+          setStories((prevStories) =>
+            prevStories.map((story) =>
+              getStillMediaId(story) === stillId
+                ? { ...story, thumbnailMediaId }
+                : story
+            )
+          );
+        } catch (error) {
+          console.error("Failed to redraw thumbnail:", error);
+        }
+      }, 400)
+    );
+  };
+  // Fit to song gives every slide its own length, replacing any pattern
+  const handleFitToSong = (bars) => {
+    setStories((prevStories) =>
+      prevStories.map((story, i) => ({ ...story, bars: bars[i] }))
+    );
+    setRhythmPattern(null);
+  };
+  const handleApplyToAllStories = (changes) => {
+    setStories((prevStories) =>
+      prevStories.map((story) => ({ ...story, ...changes }))
+    );
+  };
   // Handle Delete
   const handleDelete = (index) => {
     const newStories = stories.filter((_, i) => i !== index);
@@ -3246,10 +4818,6 @@ const StorySlider = () => {
       setCurrentIndex(Math.max(0, currentIndex - 1));
     }
   };
-  const getCoverFilterString = (width, height, fitMode) => {
-    // Always use contain mode regardless of the parameter
-    return `scale=${width}:${height}:force_original_aspect_ratio=1,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:black`;
-  };
   //handle Save and load sessions from indexDB
   const handleLoadSession = async (sessionId) => {
     try {
@@ -3267,6 +4835,10 @@ const StorySlider = () => {
       setStories(sessionData.stories);
       setBpm(sessionData.bpm);
       setDuration(sessionData.duration);
+      setRhythmPattern(sessionData.rhythmPattern || null);
+      setTransition(sessionData.transition || DEFAULT_TRANSITION);
+      setBackground(sessionData.background || DEFAULT_BACKGROUND);
+      setBeatEffect(sessionData.beatEffect || DEFAULT_BEAT_EFFECT);
       setIsLoopingEnabled(sessionData.isLoopingEnabled);
       setCurrentIndex(sessionData.currentIndex);
       setImageFitMode(sessionData.imageFitMode || "cover");
@@ -3295,17 +4867,28 @@ const StorySlider = () => {
   const handleSaveSession = async (exportSettings) => {
     const finalExportSettings = {
       ...exportSettings,
-      imageFitMode: imageFitMode, // Add this to your export settings
+      // The fit chosen for the export frame wins over the slider's own mode
+      imageFitMode: exportSettings.imageFitMode || imageFitMode,
     };
     // Destructure export settings with default values
     const {
       resolution = "1080x1920",
       isExportLoopEnabled = false,
       exportLoopDuration = 0,
+      targetDuration = 0,
+      seamlessLoop = false,
+      format,
+      preset,
+      audio,
     } = finalExportSettings;
+    const exportFormat = getExportFormat(format);
+    // Errors are shown in the progress modal once it is open, before that
+    // with an alert
+    let isProgressOpen = false;
     try {
       let fileHandle;
-      let fileName = exportSettings.fileName || "untitled.mp4";
+      let fileName =
+        exportSettings.fileName || `untitled${exportFormat.extension}`;
       // Existing file handle logic remains the same
       if (!("showSaveFilePicker" in window)) {
         const link = document.createElement("a");
@@ -3315,7 +4898,7 @@ const StorySlider = () => {
             return {
               write: async (data) => {
                 const url = URL.createObjectURL(
-                  new Blob([data], { type: "video/mp4" })
+                  new Blob([data], { type: exportFormat.mimeType })
                 );
                 link.href = url;
                 link.click();
@@ -3328,267 +4911,140 @@ const StorySlider = () => {
       } else {
         fileHandle = await window.showSaveFilePicker({
           suggestedName: fileName,
-          types: [
-            { description: "MP4 Video", accept: { "video/mp4": [".mp4"] } },
-          ],
+          types: [getSavePickerType(exportFormat)],
         });
       }
+      isCancelledRef.current = false;
       setIsExporting(true);
       setShowProgress(true);
       setProgressMessage("Preparing to export video...");
+      setProgressDetails(null);
+      setExportErrorMessage(null);
       setSaveProgress(0);
-      if (!ffmpeg.loaded) {
-        await loadFFmpeg();
-      }
-      let tempFiles = [];
-      const processedFiles = [];
-      const [width, height] = resolution.split("x").map(Number);
-
-      // Calculate total slideshow duration and loop parameters
-      const totalSlideshowDuration = stories.length * duration;
-      const loopCount =
-        isExportLoopEnabled && exportLoopDuration > 0
-          ? Math.ceil(exportLoopDuration / totalSlideshowDuration)
-          : 1;
-
-      // OPTIMIZED APPROACH: Process each image only once, then create the loop structure
-
-      // Step 1: Process each unique image only once
-      for (let i = 0; i < stories.length; i++) {
-        const story = stories[i];
-        setProgressMessage(`Processing image ${i + 1}/${stories.length}`);
-
-        // Get image data from pre-scaled export version if available
-        let imageData;
-        try {
-          if (story.exportData) {
-            // Use the pre-scaled export version (much faster)
-            const imageBlob = base64ToBlob(story.exportData);
-            imageData = new Uint8Array(await imageBlob.arrayBuffer());
-          } else if (story.base64Data) {
-            // Fall back to base64 data if available (from older uploads)
-            const imageBlob = base64ToBlob(story.base64Data);
-            imageData = new Uint8Array(await imageBlob.arrayBuffer());
-          } else {
-            // Last resort: fetch from URL
-            imageData = await fetchFile(story.url);
-          }
-        } catch (imageError) {
-          console.error(`Error fetching image ${i + 1}:`, imageError);
-          throw new Error(
-            `Failed to process image ${
-              i + 1
-            }. Please check if all images are valid.`
-          );
-        }
-
-        const inputName = `input_${i}.png`;
-        const outputName = `processed_${i}.mp4`;
-
-        await ffmpeg.writeFile(inputName, imageData);
-        tempFiles.push(inputName);
-
-        console.log("Export settings:", finalExportSettings); // Debug log to verify settings
-        console.log(
-          "Current image fit mode:",
-          finalExportSettings.imageFitMode
-        ); // Debug specific setting
-
-        // Make sure the filter is using the correct parameter
-        // In handleSaveSession function:
-        const scaleFilter = getCoverFilterString(
-          width,
-          height,
-          finalExportSettings.imageFitMode
-        );
-
-        await ffmpeg.exec([
-          "-loop",
-          "1",
-          "-i",
-          inputName,
-          "-c:v",
-          "libx264",
-          "-t",
-          `${duration}`,
-          "-pix_fmt",
-          "yuv420p",
-          "-vf",
-          scaleFilter,
-          "-r",
-          "30",
-          "-preset",
-          "ultrafast",
-          outputName,
-        ]);
-
-        tempFiles.push(outputName);
-        processedFiles.push({ name: outputName });
-
-        // Update progress for image processing phase (60% of the total)
-        setSaveProgress(((i + 1) / stories.length) * 60);
-      }
-
-      // Step 2: Create a list file for the specified number of loops
-      setProgressMessage("Preparing video segments...");
-      setSaveProgress(65);
-
-      // Generate file list content based on loop count
-      let fileListContent = "";
-      for (let loop = 0; loop < loopCount; loop++) {
-        for (let i = 0; i < processedFiles.length; i++) {
-          fileListContent += `file '${processedFiles[i].name}'\n`;
+      isProgressOpen = true;
+
+      // Captions are drawn here, where the page fonts are available, and
+      // laid over the slides by the export worker
+      const { width: frameWidth, height: frameHeight } =
+        parseResolution(resolution);
+      const exportStories = [];
+      for (const [index, story] of stories.entries()) {
+        // The worker has nothing to stop yet, a cancel ends the loop here
+        if (isCancelledRef.current) return;
+        const slideDuration = getSlideDuration(story, bpm, duration, {
+          pattern: rhythmPattern,
+          index,
+        });
+        const captionTiming =
+          hasCaption(story.caption) &&
+          getCaptionTiming(story.caption, slideDuration);
+        let caption = null;
+        if (captionTiming) {
+          setProgressMessage("Rendering captions...");
+          caption = {
+            image: await renderCaptionImage(
+              story.caption,
+              frameWidth,
+              frameHeight
+            ),
+            start: captionTiming.start,
+            end: captionRunsToEnd(story.caption) ? null : captionTiming.end,
+          };
         }
+        exportStories.push({
+          // The worker reads the file, it is only loaded here by reference.
+          // Video slides have no export version, the clip itself is used.
+          source: await loadMedia(story.exportMediaId || story.mediaId),
+          motion: story.motion,
+          duration: slideDuration,
+          caption,
+          clip: isVideoStory(story)
+            ? {
+                start: getClipRange(story.clip, slideDuration).start,
+                keepAudio: !!story.clip.keepAudio,
+              }
+            : null,
+          crop: hasCrop(story.crop) ? getCrop(story.crop) : null,
+        });
       }
 
-      // Write the list file
-      await ffmpeg.writeFile("loop_list.txt", fileListContent);
-      tempFiles.push("loop_list.txt");
-
-      // Step 3: Concatenate all segments based on the loop count
-      setProgressMessage("Creating final video...");
-      setSaveProgress(70);
-
-      // Concatenate processed files (based on the loop list)
-      await ffmpeg.exec([
-        "-f",
-        "concat",
-        "-safe",
-        "0",
-        "-i",
-        "loop_list.txt",
-        "-c:v",
-        "copy",
-        "temp_output.mp4",
-      ]);
-      tempFiles.push("temp_output.mp4");
-
-      // Add Background Music with improved error handling
-      if (musicUrl) {
-        setProgressMessage("Adding background music...");
-        setSaveProgress(80);
-        try {
-          // Try to get music data and validate it
-          let musicData;
-          try {
-            musicData = await fetchFile(musicUrl);
-            console.log("Music data fetched, size:", musicData.byteLength);
-
-            // Basic validation - ensure we have actual data
-            if (!musicData || musicData.byteLength < 1000) {
-              throw new Error("Music file appears to be invalid or too small");
-            }
-          } catch (fetchError) {
-            console.error("Music fetch error:", fetchError);
-            throw new Error("Could not access music file");
-          }
-
-          // Write music file to FFmpeg
-          await ffmpeg.writeFile("background.mp3", musicData);
-
-          // Process video with audio
-          await ffmpeg.exec([
-            "-i",
-            "temp_output.mp4",
-            "-ss",
-            String(musicStartPoint),
-            "-i",
-            "background.mp3",
-            "-shortest",
-            "-map",
-            "0:v",
-            "-map",
-            "1:a",
-            "-c:v",
-            "copy",
-            "-c:a",
-            "aac",
-            "-b:a",
-            "192k",
-            "final_output.mp4",
-          ]);
-
-          // Clean up temporary music file
-          try {
-            await ffmpeg.deleteFile("background.mp3");
-            await ffmpeg.deleteFile("temp_output.mp4");
-          } catch (cleanupError) {
-            console.warn("Non-critical cleanup error:", cleanupError);
-            // Continue with export even if cleanup fails
-          }
-        } catch (musicError) {
-          console.error("Music processing failed:", musicError);
-          // Fallback: export without music
-          setProgressMessage(
-            "Music processing failed, creating video without audio..."
-          );
-          await ffmpeg.exec([
-            "-i",
-            "temp_output.mp4",
-            "-c",
-            "copy",
-            "final_output.mp4",
-          ]);
+      if (isCancelledRef.current) return;
+      // The FFmpeg pipeline runs in the export worker, the UI only follows
+      // its progress messages
+      const data = await initiateExport(
+        {
+          stories: exportStories,
+          musicUrl,
+          musicStartPoint,
+          bpm,
+          duration,
+          transition,
+          beatEffect,
+        },
+        {
+          resolution,
+          imageFitMode: finalExportSettings.imageFitMode,
+          background,
+          isExportLoopEnabled,
+          exportLoopDuration,
+          targetDuration,
+          seamlessLoop,
+          format: exportFormat.value,
+          preset,
+          audio,
+        },
+        {
+          onProgress: ({ progress, message, ...details }) => {
+            if (message) setProgressMessage(message);
+            if (progress !== undefined) setSaveProgress(progress);
+            if (details.stage) setProgressDetails(details);
+          },
         }
-      } else {
-        // No music specified, just copy the video
-        await ffmpeg.exec([
-          "-i",
-          "temp_output.mp4",
-          "-c",
-          "copy",
-          "final_output.mp4",
-        ]);
-      }
-
-      // Prepare final output
-      setProgressMessage("Preparing download...");
-      setSaveProgress(95);
+      );
+      // The export may have finished while the cancel prompt was open
+      if (isCancelledRef.current) return;
 
       try {
-        // Read the final file
-        const data = await ffmpeg.readFile("final_output.mp4");
         setSaveProgress(100);
 
         // Write to target file
         const writable = await fileHandle.createWritable();
-        await writable.write(new Blob([data.buffer], { type: "video/mp4" }));
+        await writable.write(
+          new Blob([data.buffer], { type: exportFormat.mimeType })
+        );
         await writable.close();
 
         // Clean up
         setShowProgress(false);
+        setProgressDetails(null);
         setIsExporting(false);
         setShowShareNotification(true);
-
-        // Clean up temporary files
-        try {
-          for (const tempFile of tempFiles) {
-            await ffmpeg.deleteFile(tempFile);
-          }
-          await ffmpeg.deleteFile("final_output.mp4");
-        } catch (cleanupError) {
-          console.warn("Final cleanup error (non-critical):", cleanupError);
-        }
       } catch (finalError) {
         console.error("Final output error:", finalError);
         throw new Error(`Failed to save video: ${finalError.message}`);
       }
     } catch (error) {
+      // Cancelling already reset the UI and told the user, dismissing the
+      // save file picker needs no message at all
+      if (error.name === "AbortError" && isCancelledRef.current) return;
+      if (error.name === "AbortError" && !isProgressOpen) return;
       console.error("Export error:", error);
-      setShowProgress(false);
-      setIsExporting(false);
-      alert(`Export failed: ${error.message}`);
-
-      // Try to clean up any temp files in case of error
-      try {
-        for (const tempFile of tempFiles || []) {
-          await ffmpeg.deleteFile(tempFile).catch(() => {});
-        }
-      } catch (e) {
-        // Ignore cleanup errors on fail
+      if (!isProgressOpen) {
+        alert(`Export failed: ${error.message}`);
+        return;
       }
+      // The progress modal stays open and explains what went wrong
+      setIsExporting(false);
+      setProgressDetails(null);
+      setExportErrorMessage(error.message);
     }
   };
+
+  // Dismiss the progress modal after a failed export
+  const handleCloseProgress = () => {
+    setShowProgress(false);
+    setExportErrorMessage(null);
+  };
   // Handle Save Sessions
   const handleSaveSessionToDb = async (sessionName, isSilent = false) => {
     try {
@@ -3608,6 +5064,7 @@ const StorySlider = () => {
       // Only show saving indicator if not silent
       if (!isSilent) {
         setShowProgress(true);
+        setExportErrorMessage(null);
         setProgressMessage("Saving session...");
         setSaveProgress(10);
       }
@@ -3621,6 +5078,10 @@ const StorySlider = () => {
         musicStartPoint,
         imageFitMode,
         duration,
+        rhythmPattern,
+        transition,
+        background,
+        beatEffect,
         isLoopingEnabled,
         currentIndex,
       };
@@ -3666,6 +5127,53 @@ const StorySlider = () => {
       }
     }
   };
+  // Timing of the slide on screen, transitions are capped by its length
+  const currentSlideDuration = getSlideDuration(
+    stories[currentIndex],
+    bpm,
+    duration,
+    { pattern: rhythmPattern, index: currentIndex }
+  );
+  const currentTransitionSeconds = getTransitionSeconds(
+    transition,
+    bpm,
+    currentSlideDuration
+  );
+  // Images of the slide on screen and of the one transitioning out
+  const currentImageUrl = useMediaUrl(getStillMediaId(stories[currentIndex]));
+  const outgoingImageUrl = useMediaUrl(
+    outgoingIndex !== null ? getStillMediaId(stories[outgoingIndex]) : null
+  );
+  const outgoingSlideDuration =
+    outgoingIndex !== null && stories[outgoingIndex]
+      ? getSlideDuration(stories[outgoingIndex], bpm, duration, {
+          pattern: rhythmPattern,
+          index: outgoingIndex,
+        })
+      : 0;
+  // The slide frame carries the motion, the image or clip inside it is
+  // placed by the fit mode and the slide's crop
+  const outgoingFrameStyle =
+    outgoingIndex !== null && stories[outgoingIndex]
+      ? {
+          // Motion holds its end position through the transition
+          transform: getMotionTransforms(stories[outgoingIndex].motion).to,
+        }
+      : {};
+  const currentFrameClassName = `slide-frame ${
+    stories[currentIndex] && hasMotion(stories[currentIndex].motion)
+      ? "slide-motion"
+      : ""
+  }`;
+  const currentFrameStyle = stories[currentIndex]
+    ? {
+        "--motion-from": getMotionTransforms(stories[currentIndex].motion)
+          .from,
+        "--motion-to": getMotionTransforms(stories[currentIndex].motion).to,
+        animationDuration: `${currentSlideDuration}s`,
+      }
+    : {};
+
   // Render logic
   return (
     <>
@@ -3682,9 +5190,9 @@ const StorySlider = () => {
               <div className="title-bar">
                 <h1 className="slider-title">Groove Slider</h1>
                 <div className="photo-counter">
-                  <span className={stories.length >= 25 ? "max-reached" : ""}>
+                  <span>
                     {/* Add the image icon with desired size */}
-                    {stories.length} / 25 <Images size={25} />
+                    {stories.length} <Images size={25} />
                   </span>
                 </div>
                 <button
@@ -3712,6 +5220,7 @@ const StorySlider = () => {
                           position: "relative",
                           width: "100%",
                           height: "100%",
+                          backgroundColor: "#000",
                         }}
                       >
                         {/* Toggle button commented out while standardizing on "contain" mode
@@ -3734,54 +5243,163 @@ const StorySlider = () => {
   )}
 </button>
 */}
-                        {stories[currentIndex] && stories[currentIndex].url ? (
-                          <img
-                            src={stories[currentIndex].url}
-                            alt={`Slide ${currentIndex + 1}`}
-                            className="media-content"
-                            style={{
-                              objectFit: imageFitMode, // Use the current fit mode
-                              width: "100%",
-                              height: "100%",
-                              display: "block",
-                            }}
-                            loading="eager"
-                            onError={(e) => {
-                              console.log(
-                                "Image failed to load, attempting recovery"
-                              );
-                              const currentStory = stories[currentIndex];
-                              if (currentStory && currentStory.base64Data) {
-                                const blob = base64ToBlob(
-                                  currentStory.base64Data
-                                );
-                                const newUrl = URL.createObjectURL(blob);
-                                const updatedStories = [...stories];
-                                updatedStories[currentIndex] = {
-                                  ...currentStory,
-                                  url: newUrl,
-                                };
-                                setStories(updatedStories);
-                                e.target.src = newUrl;
-                              }
-                            }}
-                          />
-                        ) : (
-                          <div
-                            className="empty-image-placeholder"
-                            style={{
-                              backgroundColor: "#f5f5f5",
-                              width: "100%",
-                              height: "100%",
-                              display: "flex",
-                              alignItems: "center",
-                              justifyContent: "center",
-                              color: "#333",
-                            }}
-                          >
-                            Select an image to display
-                          </div>
-                        )}
+                        <BeatEffectStage
+                          effect={beatEffect}
+                          bpm={bpm}
+                          isPlaying={isPlaying}
+                          audioRef={audioRef}
+                          musicStartPoint={musicStartPoint}
+                        >
+                          {/* Outgoing slide, kept on screen while the transition plays */}
+                          {outgoingIndex !== null && stories[outgoingIndex] && (
+                            <div
+                              key={`outgoing-${outgoingIndex}-${currentIndex}`}
+                              className={`slide-layer slide-transition-out ${transition.type}`}
+                              style={{
+                                animationDuration: `${currentTransitionSeconds}s`,
+                              }}
+                            >
+                              {imageFitMode === "contain" && (
+                                <div
+                                  className="slide-background"
+                                  style={getBackgroundStyle(
+                                    background,
+                                    outgoingImageUrl
+                                  )}
+                                />
+                              )}
+                              <div
+                                className="slide-frame"
+                                style={outgoingFrameStyle}
+                              >
+                                {isVideoStory(stories[outgoingIndex]) ? (
+                                  <SlideVideo
+                                    story={stories[outgoingIndex]}
+                                    slideDuration={outgoingSlideDuration}
+                                    isPlaying={isPlaying}
+                                    isOutgoing
+                                    posterUrl={outgoingImageUrl}
+                                    className="media-content"
+                                    style={getSlideMediaStyle(
+                                      stories[outgoingIndex],
+                                      imageFitMode
+                                    )}
+                                  />
+                                ) : (
+                                  <img
+                                    src={outgoingImageUrl || undefined}
+                                    alt=""
+                                    className="media-content"
+                                    style={getSlideMediaStyle(
+                                      stories[outgoingIndex],
+                                      imageFitMode
+                                    )}
+                                  />
+                                )}
+                              </div>
+                              <CaptionOverlay
+                                caption={stories[outgoingIndex].caption}
+                                slideDuration={outgoingSlideDuration}
+                                isOutgoing
+                              />
+                            </div>
+                          )}
+                          {stories[currentIndex] ? (
+                            <div
+                              key={`slide-${currentIndex}`}
+                              className={`slide-layer ${
+                                outgoingIndex !== null
+                                  ? `slide-transition-in ${transition.type}`
+                                  : ""
+                              }`}
+                              style={{
+                                animationDuration: `${currentTransitionSeconds}s`,
+                              }}
+                              onAnimationEnd={(e) => {
+                                if (e.target === e.currentTarget) {
+                                  setOutgoingIndex(null);
+                                }
+                              }}
+                            >
+                              {imageFitMode === "contain" && (
+                                <div
+                                  className="slide-background"
+                                  style={getBackgroundStyle(
+                                    background,
+                                    currentImageUrl
+                                  )}
+                                />
+                              )}
+                              <div
+                                className={currentFrameClassName}
+                                style={currentFrameStyle}
+                              >
+                                {isVideoStory(stories[currentIndex]) ? (
+                                  <SlideVideo
+                                    story={stories[currentIndex]}
+                                    slideDuration={currentSlideDuration}
+                                    isPlaying={isPlaying}
+                                    posterUrl={currentImageUrl}
+                                    className="media-content"
+                                    style={getSlideMediaStyle(
+                                      stories[currentIndex],
+                                      imageFitMode
+                                    )}
+                                  />
+                                ) : (
+                                  <img
+                                    src={currentImageUrl || undefined}
+                                    alt={`Slide ${currentIndex + 1}`}
+                                    className="media-content"
+                                    style={getSlideMediaStyle(
+                                      stories[currentIndex],
+                                      imageFitMode
+                                    )}
+                                    loading="eager"
+                                    onError={(e) => {
+                                      console.log(
+                                        "Image failed to load, attempting recovery"
+                                      );
+                                      const currentStory = stories[currentIndex];
+                                      if (currentStory && currentStory.base64Data) {
+                                        const blob = base64ToBlob(
+                                          currentStory.base64Data
+                                        );
+                                        const newUrl = URL.createObjectURL(blob);
+                                        const updatedStories = [...stories];
+                                        updatedStories[currentIndex] = {
+                                          ...currentStory,
+                                          url: newUrl,
+                                        };
+                                        setStories(updatedStories);
+                                        e.target.src = newUrl;
+                                      }
+                                    }}
+                                  />
+                                )}
+                              </div>
+                              <CaptionOverlay
+                                caption={stories[currentIndex].caption}
+                                slideDuration={currentSlideDuration}
+                              />
+                            </div>
+                          ) : (
+                            <div
+                              className="empty-image-placeholder"
+                              style={{
+                                backgroundColor: "#f5f5f5",
+                                width: "100%",
+                                height: "100%",
+                                display: "flex",
+                                alignItems: "center",
+                                justifyContent: "center",
+                                color: "#333",
+                              }}
+                            >
+                              Select an image to display
+                            </div>
+                          )}
+                        </BeatEffectStage>
                       </div>
                     </div>
                   </div>
@@ -3794,6 +5412,12 @@ const StorySlider = () => {
                   <ProgressBar
                     currentIndex={currentIndex}
                     totalSlides={stories.length}
+                    durations={getSlideDurations(
+                      stories,
+                      bpm,
+                      duration,
+                      rhythmPattern
+                    )}
                     onProgressClick={(index) => {
                       console.log("Current Index:", currentIndex);
                       console.log("Clicked Index:", index);
@@ -3813,6 +5437,9 @@ const StorySlider = () => {
                 isPlaying={isPlaying}
                 duration={duration}
                 onDurationChange={setDuration}
+                rhythmPattern={rhythmPattern}
+                onRhythmPatternChange={setRhythmPattern}
+                onFitToSong={handleFitToSong}
                 onEdit={() => setShowEditPanel(!showEditPanel)}
                 onMusicUpload={handleMusicUpload}
                 onBPMChange={handleBPMChange}
@@ -3830,17 +5457,35 @@ const StorySlider = () => {
                 handleDelete={handleDelete}
                 handleReorder={handleReorder}
                 saveStateOnEditPanelToggle={saveStateOnEditPanelToggle}
+                transition={transition}
+                onTransitionChange={setTransition}
+                background={background}
+                onBackgroundChange={setBackground}
+                beatEffect={beatEffect}
+                onBeatEffectChange={setBeatEffect}
+                handleUpdateStory={handleUpdateStory}
+                handleApplyToAllStories={handleApplyToAllStories}
+                imageFitMode={imageFitMode}
               />
                
               {showEditPanel && (
                 <EditPanel
                   stories={stories}
+                  slideDurations={getSlideDurations(
+                    stories,
+                    bpm,
+                    duration,
+                    rhythmPattern
+                  )}
+                  imageFitMode={imageFitMode}
                   onClose={() => {
                     setShowEditPanel(false);
                     saveStateOnEditPanelToggle(false);
                   }}
                   onReorder={handleReorder}
                   onDelete={handleDelete}
+                  onUpdateStory={handleUpdateStory}
+                  onApplyToAll={handleApplyToAllStories}
                 />
               )}
                
@@ -3853,12 +5498,23 @@ const StorySlider = () => {
                 message={progressMessage}
                 stories={stories}
                 duration={duration}
+                rhythmPattern={rhythmPattern}
+                bpm={bpm}
                 stopPlayback={stopPlayback}
                 cancelExport={() => {
                   setIsExporting(false);
                   setShowExportModal(false);
                 }}
                 currentImageFitMode={imageFitMode}
+                background={background}
+                previewImageUrl={currentImageUrl}
+                previewStory={stories[currentIndex] || null}
+                hasMusic={!!musicUrl}
+                musicRegionSeconds={
+                  audioRef.current && Number.isFinite(audioRef.current.duration)
+                    ? audioRef.current.duration - musicStartPoint
+                    : null
+                }
               />
                
               <SaveSessionModal
@@ -3871,7 +5527,10 @@ const StorySlider = () => {
                 isOpen={showProgress}
                 progress={saveProgress}
                 message={progressMessage}
+                details={progressDetails}
+                error={exportErrorMessage}
                 onCancel={handleCancelExport}
+                onClose={handleCloseProgress}
               />
               <ShareNotification
                 isVisible={showShareNotification}
@@ -1,6 +1,44 @@
 // IndexedDB Service for Groove Gallery App
 // This service handles all database operations for saving and loading sessions
 
+import {
+  saveMedia,
+  loadMedia,
+  deleteMedia,
+  getStoryMediaIds,
+} from "../services/mediaStore";
+
+// Per-slide settings that are stored alongside each image
+const STORY_SETTING_KEYS = [
+  "originalName",
+  "dateAdded",
+  "motion",
+  "bars",
+  "caption",
+  "clip",
+  "takenAt",
+  "camera",
+  "location",
+  "width",
+  "height",
+  "crop",
+];
+
+/**
+ * Pick the per-slide settings of a story that should be persisted
+ * @param {Object} story - Story object
+ * @returns {Object} Settings object
+ */
+const getStorySettings = (story) => {
+  const settings = {};
+  STORY_SETTING_KEYS.forEach((key) => {
+    if (story[key] !== undefined) {
+      settings[key] = story[key];
+    }
+  });
+  return settings;
+};
+
 const DB_CONFIG = {
   name: "GrooveGalleryDB",
   version: 3, // Increment version for schema changes
@@ -207,15 +245,18 @@ export const getBpmValue = async (audioUrl) => {
  */
 export const saveSession = async (sessionData) => {
   try {
-    // Process images: convert blob URLs to actual blobs
+    // Process images: read them from the media store. Export versions,
+    // thumbnails and clip poster frames are kept too, when the story has them.
     const imageBlobs = [];
     for (const story of sessionData.stories) {
       try {
-        const response = await fetch(story.url);
-        const blob = await response.blob();
         imageBlobs.push({
           type: story.type,
-          blob: blob
+          blob: await loadMedia(story.mediaId),
+          exportBlob: story.exportMediaId ? await loadMedia(story.exportMediaId) : null,
+          thumbnailBlob: story.thumbnailMediaId ? await loadMedia(story.thumbnailMediaId) : null,
+          posterBlob: story.posterMediaId ? await loadMedia(story.posterMediaId) : null,
+          settings: getStorySettings(story)
         });
       } catch (error) {
         console.error("Error processing image:", error);
@@ -248,6 +289,10 @@ export const saveSession = async (sessionData) => {
       musicStartPoint: sessionData.musicStartPoint,
       imageFitMode: sessionData.imageFitMode,
       duration: sessionData.duration,
+      rhythmPattern: sessionData.rhythmPattern,
+      transition: sessionData.transition,
+      background: sessionData.background,
+      beatEffect: sessionData.beatEffect,
       isLoopingEnabled: sessionData.isLoopingEnabled,
       currentIndex: sessionData.currentIndex
     };
@@ -265,7 +310,11 @@ export const saveSession = async (sessionData) => {
           imagesStore.add({
             sessionId: sessionId,
             type: imageData.type,
-            blob: imageData.blob
+            blob: imageData.blob,
+            exportBlob: imageData.exportBlob,
+            thumbnailBlob: imageData.thumbnailBlob,
+            posterBlob: imageData.posterBlob,
+            settings: imageData.settings
           });
         }
         
@@ -372,11 +421,18 @@ export const loadSession = async (sessionId) => {
       };
     });
     
-    // Convert image blobs back to URLs
-    const stories = images.map(imageData => ({
-      type: imageData.type,
-      url: URL.createObjectURL(imageData.blob)
-    }));
+    // Move the images into the media store, stories reference them by ID
+    const stories = [];
+    for (const imageData of images) {
+      stories.push({
+        ...(imageData.settings || {}),
+        type: imageData.type,
+        mediaId: await saveMedia(imageData.blob),
+        exportMediaId: imageData.exportBlob ? await saveMedia(imageData.exportBlob) : undefined,
+        thumbnailMediaId: imageData.thumbnailBlob ? await saveMedia(imageData.thumbnailBlob) : undefined,
+        posterMediaId: imageData.posterBlob ? await saveMedia(imageData.posterBlob) : undefined
+      });
+    }
     
     // Get music for the session
     const musicData = await new Promise((resolve, reject) => {
@@ -437,10 +493,8 @@ export const loadSession = async (sessionId) => {
       stories,
       musicUrl,
       cleanup: () => {
-        cleanupObjectUrls([
-          ...stories.map(story => story.url),
-          musicUrl
-        ]);
+        stories.flatMap(getStoryMediaIds).forEach(deleteMedia);
+        cleanupObjectUrls([musicUrl]);
       }
     };
   } catch (error) {
@@ -0,0 +1,170 @@
+// src/services/audioMix.js
+// Music fades and loudness normalization applied when the export muxes the
+// background track.
+
+import { beatsToSeconds } from "./transitions";
+
+export const FADE_UNITS = [
+  { value: "seconds", label: "Seconds" },
+  { value: "beats", label: "Beats" },
+];
+
+export const FADE_LENGTH_OPTIONS = {
+  seconds: [
+    { value: 0, label: "Off" },
+    { value: 0.5, label: "0.5s" },
+    { value: 1, label: "1s" },
+    { value: 2, label: "2s" },
+    { value: 4, label: "4s" },
+  ],
+  beats: [
+    { value: 0, label: "Off" },
+    { value: 1, label: "1 Beat" },
+    { value: 2, label: "2 Beats" },
+    { value: 4, label: "1 Bar" },
+    { value: 8, label: "2 Bars" },
+  ],
+};
+
+// Integrated loudness target used by the big streaming services
+export const LOUDNESS_TARGET_LUFS = -14;
+const LOUDNORM_FILTER = `loudnorm=I=${LOUDNESS_TARGET_LUFS}:TP=-1.5:LRA=11`;
+// Fade at both ends of a video clip's sound so its cuts don't click
+const CLIP_SOUND_FADE_SECONDS = 0.05;
+
+export const DEFAULT_AUDIO_SETTINGS = {
+  fadeIn: 0,
+  fadeOut: 2,
+  fadeUnit: "seconds",
+  normalize: true,
+};
+
+/**
+ * Convert a fade length to seconds
+ * @param {number} length - Fade length in the given unit
+ * @param {string} unit - 'seconds' or 'beats'
+ * @param {number} bpm - Tempo in beats per minute
+ * @returns {number} Fade length in seconds
+ */
+export const getFadeSeconds = (length, unit, bpm) =>
+  unit === "beats" ? beatsToSeconds(length, bpm) : length;
+
+/**
+ * Build the FFmpeg audio filter for the music track. Fades come after the
+ * normalization so it cannot lift them back up.
+ * @param {Object} settings - Audio settings ({ fadeIn, fadeOut, fadeUnit, normalize })
+ * @param {number} bpm - Tempo in beats per minute
+ * @param {number} totalDuration - Length of the exported video in seconds
+ * @returns {string} Filter chain, or an empty string when nothing applies
+ */
+export const buildAudioFilter = (settings, bpm, totalDuration) => {
+  const { fadeIn, fadeOut, fadeUnit, normalize } = {
+    ...DEFAULT_AUDIO_SETTINGS,
+    ...settings,
+  };
+  // Fades never overlap, each gets at most half of the video
+  const maxFade = totalDuration / 2;
+  const fadeInSeconds = Math.min(
+    getFadeSeconds(fadeIn, fadeUnit, bpm),
+    maxFade
+  );
+  const fadeOutSeconds = Math.min(
+    getFadeSeconds(fadeOut, fadeUnit, bpm),
+    maxFade
+  );
+
+  const filters = [];
+  if (normalize) {
+    filters.push(LOUDNORM_FILTER);
+  }
+  if (fadeInSeconds > 0) {
+    filters.push(`afade=t=in:st=0:d=${fadeInSeconds.toFixed(3)}`);
+  }
+  if (fadeOutSeconds > 0) {
+    filters.push(
+      `afade=t=out:st=${(totalDuration - fadeOutSeconds).toFixed(
+        3
+      )}:d=${fadeOutSeconds.toFixed(3)}`
+    );
+  }
+  return filters.join(",");
+};
+
+/**
+ * Build the FFmpeg filter graph for the music of a seamless loop. The music
+ * is read one seam past the end of the loop and that overhang is mixed over
+ * the start, fading out while the start fades in. When the video repeats,
+ * the end runs straight on into what the start begins with. Fades don't
+ * apply, they would break the loop.
+ * @param {Object} options
+ * @param {string} options.input - Label of the music stream, e.g. "[3:a]"
+ * @param {Object} options.settings - Audio settings, only `normalize` applies
+ * @param {number} options.loopSeconds - Length of the loop
+ * @param {number} options.seamSeconds - Length of the crossfade at the seam
+ * @returns {{filter: string, output: string}} filter_complex string and the
+ *   label of the music stream. Music that runs out is padded with silence.
+ */
+export const buildSeamlessAudioGraph = ({
+  input,
+  settings,
+  loopSeconds,
+  seamSeconds,
+}) => {
+  const { normalize } = { ...DEFAULT_AUDIO_SETTINGS, ...settings };
+  const loop = loopSeconds.toFixed(6);
+  const seam = seamSeconds.toFixed(6);
+  // Level the music before it is split so both sides of the seam get the
+  // same gain
+  const source = [`atrim=end=${(loopSeconds + seamSeconds).toFixed(6)}`];
+  if (normalize) source.push(LOUDNORM_FILTER);
+
+  return {
+    filter: [
+      `${input}${source.join(",")},asplit[musicbody][musictail]`,
+      `[musicbody]atrim=end=${loop},afade=t=in:d=${seam}[musicstart]`,
+      `[musictail]atrim=start=${loop},asetpts=PTS-STARTPTS,afade=t=out:d=${seam}[musicseam]`,
+      `[musicstart][musicseam]amix=inputs=2:duration=first:normalize=0,apad=whole_dur=${loop}[aout]`,
+    ].join(";"),
+    output: "[aout]",
+  };
+};
+
+/**
+ * Build the FFmpeg filter graph that lays the sound of video clips over the
+ * music. Each sound starts where its clip comes on screen and stops at the
+ * clip's cut. The mix is padded or cut to the export length.
+ * @param {Object} options
+ * @param {{filter: string, output: string}|null} options.music - Filter
+ *   graph of the music, null when there is none
+ * @param {Array<{input: string, start: number, duration: number}>}
+ *   options.sounds - Label of each clip's audio stream, e.g. "[4:a]", with
+ *   where it starts in the export and how long it plays, in seconds
+ * @param {number} options.totalDuration - Export length in seconds
+ * @returns {{filter: string, output: string}} filter_complex string and the
+ *   label of the mixed stream
+ */
+export const buildClipSoundGraph = ({ music, sounds, totalDuration }) => {
+  const filters = music ? [music.filter] : [];
+  const mixInputs = music ? [music.output] : [];
+  sounds.forEach(({ input, start, duration }, index) => {
+    const fade = Math.min(CLIP_SOUND_FADE_SECONDS, duration / 2);
+    filters.push(
+      `${input}${[
+        `atrim=end=${duration.toFixed(6)}`,
+        "asetpts=PTS-STARTPTS",
+        `afade=t=in:d=${fade.toFixed(6)}`,
+        `afade=t=out:st=${(duration - fade).toFixed(6)}:d=${fade.toFixed(6)}`,
+        `adelay=${Math.round(start * 1000)}:all=1`,
+      ].join(",")}[clipsound${index}]`
+    );
+    mixInputs.push(`[clipsound${index}]`);
+  });
+
+  const total = totalDuration.toFixed(6);
+  filters.push(
+    `${mixInputs.join("")}amix=inputs=${
+      mixInputs.length
+    }:duration=longest:normalize=0,apad=whole_dur=${total},atrim=end=${total}[mixout]`
+  );
+  return { filter: filters.join(";"), output: "[mixout]" };
+};
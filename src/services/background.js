@@ -0,0 +1,123 @@
+// src/services/background.js
+// Fill behind slides that don't cover the whole frame ("contain" fit): plain
+// black, a blurred and dimmed copy of the photo, a solid color or a
+// gradient. Drawn with CSS in the slider and with FFmpeg filters on export.
+
+export const BACKGROUND_TYPES = [
+  { value: "black", label: "Black" },
+  { value: "blur", label: "Blur" },
+  { value: "solid", label: "Color" },
+  { value: "gradient", label: "Gradient" },
+];
+
+export const DEFAULT_BACKGROUND = {
+  type: "black",
+  // Solid color, and where the gradient starts (top) and ends (bottom)
+  color: "#1f1f1f",
+  gradientColor: "#ff4e8f",
+};
+
+// Blur radius as a fraction of the shorter frame side
+const BLUR_RADIUS = 0.04;
+// Brightness of the blurred copy, so the photo in front stands out
+const BLUR_BRIGHTNESS = 0.6;
+
+// "#rrggbb" to [r, g, b]
+const parseHexColor = (hex) => {
+  const value = parseInt(String(hex).replace("#", ""), 16) || 0;
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+/**
+ * Get the full background settings, filling in defaults
+ * @param {Object} [background] - Background settings ({ type, color, gradientColor })
+ * @returns {Object}
+ */
+export const getBackground = (background) => ({
+  ...DEFAULT_BACKGROUND,
+  ...background,
+});
+
+/**
+ * CSS for the background layer behind a slide in the slider. The layer must
+ * sit inside a size container, the blur scales with it.
+ * @param {Object} background - Background settings
+ * @param {string} imageUrl - URL of the slide image
+ * @returns {Object} React style object
+ */
+export const getBackgroundStyle = (background, imageUrl) => {
+  const { type, color, gradientColor } = getBackground(background);
+  switch (type) {
+    case "blur":
+      return {
+        backgroundImage: imageUrl ? `url("${imageUrl}")` : "none",
+        backgroundSize: "cover",
+        backgroundPosition: "center",
+        filter: `blur(${BLUR_RADIUS * 100}cqmin) brightness(${BLUR_BRIGHTNESS})`,
+        // Keeps the faded edges of the blur outside the frame
+        transform: "scale(1.1)",
+      };
+    case "solid":
+      return { backgroundColor: color };
+    case "gradient":
+      return {
+        background: `linear-gradient(to bottom, ${color}, ${gradientColor})`,
+      };
+    default:
+      return { backgroundColor: "#000" };
+  }
+};
+
+/**
+ * Color FFmpeg's pad filter fills the frame with, for backgrounds that are
+ * a single color
+ * @param {Object} background - Background settings
+ * @returns {string|null} Pad color, or null when the background needs its
+ *   own filter (see buildBackgroundFilter)
+ */
+export const getPadColor = (background) => {
+  const { type, color } = getBackground(background);
+  if (type === "black") return "black";
+  if (type === "solid") return `0x${color.replace("#", "")}`;
+  return null;
+};
+
+/**
+ * Build the FFmpeg filter chain that turns a copy of the slide image into
+ * the background, for backgrounds that are more than a single color
+ * @param {Object} background - Background settings
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @returns {string} Filter chain producing a full frame
+ */
+export const buildBackgroundFilter = (background, width, height) => {
+  const { type, color, gradientColor } = getBackground(background);
+  if (type === "blur") {
+    const radius = Math.max(
+      1,
+      Math.round(Math.min(width, height) * BLUR_RADIUS)
+    );
+    // Darken luma and chroma alike, like CSS brightness()
+    const dim = (plane) =>
+      plane === "y"
+        ? `val*${BLUR_BRIGHTNESS}`
+        : `128+(val-128)*${BLUR_BRIGHTNESS}`;
+    return [
+      `scale=${width}:${height}:force_original_aspect_ratio=increase`,
+      `crop=${width}:${height}`,
+      "format=yuv420p",
+      `boxblur=${radius}:2`,
+      `lutyuv=y='${dim("y")}':u='${dim("u")}':v='${dim("v")}'`,
+    ].join(",");
+  }
+
+  // Vertical gradient, drawn once per image so geq's cost doesn't matter
+  const from = parseHexColor(color);
+  const to = parseHexColor(gradientColor);
+  const channel = (index) => `${from[index]}+(${to[index] - from[index]})*Y/H`;
+  return [
+    `scale=${width}:${height}`,
+    "format=gbrp",
+    `geq=r='${channel(0)}':g='${channel(1)}':b='${channel(2)}'`,
+  ].join(",");
+};
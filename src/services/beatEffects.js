@@ -0,0 +1,245 @@
+// src/services/beatEffects.js
+// Beat-reactive effects: a zoom pulse, flash, shake or RGB split that hits on
+// every beat or downbeat and fades out before the next one. The slider
+// preview and the FFmpeg export evaluate the same hit curve, so both groove
+// alike.
+
+import { getCameraTransform } from "./motion";
+
+export const BEAT_EFFECTS = [
+  { value: "none", label: "Off" },
+  { value: "pulse", label: "Zoom Pulse" },
+  { value: "flash", label: "Flash" },
+  { value: "shake", label: "Shake" },
+  { value: "rgbSplit", label: "RGB Split" },
+];
+
+export const BEAT_EFFECT_TRIGGERS = [
+  { value: "beat", label: "Every Beat", beats: 1 },
+  { value: "downbeat", label: "Downbeat", beats: 4 },
+];
+
+export const BEAT_EFFECT_INTENSITIES = [
+  { value: 0.35, label: "Subtle" },
+  { value: 0.65, label: "Medium" },
+  { value: 1, label: "Strong" },
+];
+
+export const DEFAULT_BEAT_EFFECT = {
+  type: "none",
+  trigger: "beat",
+  intensity: 0.65,
+};
+
+// How long a hit takes to fade out, in beats
+const HIT_DECAY_BEATS = 0.5;
+// Extra zoom at the peak of a pulse (0.08 = 108%)
+const PULSE_ZOOM = 0.08;
+// Share of white mixed in at the peak of a flash, and the brightness lift
+// per share that takes mid grey (128) to video white (235)
+const FLASH_AMOUNT = 0.6;
+const FLASH_BRIGHTNESS = 0.42;
+// Luma weights of BT.601, the colors FFmpeg's eq filter works in
+const LUMA_WEIGHTS = [0.299, 0.587, 0.114];
+// Zoom that leaves room for the shake, and how fast it shakes (Hz)
+const SHAKE_ZOOM = 0.06;
+const SHAKE_FREQUENCY = 9;
+// Offset of the red and blue channels as a fraction of the frame width
+const RGB_SPLIT_WIDTH = 0.015;
+
+/**
+ * Check whether a beat effect is switched on
+ * @param {Object} effect - Beat effect settings ({ type, trigger, intensity })
+ * @returns {boolean}
+ */
+export const hasBeatEffect = (effect) =>
+  !!effect &&
+  effect.type !== "none" &&
+  BEAT_EFFECTS.some((option) => option.value === effect.type);
+
+/**
+ * Get the time between hits and how long each one lasts
+ * @param {Object} effect - Beat effect settings
+ * @param {number} bpm - Tempo in beats per minute
+ * @returns {{period: number, decay: number}} Seconds
+ */
+const getHitTiming = (effect, bpm) => {
+  const beatSeconds = 60 / bpm;
+  const trigger =
+    BEAT_EFFECT_TRIGGERS.find((option) => option.value === effect.trigger) ||
+    BEAT_EFFECT_TRIGGERS[0];
+  return {
+    period: beatSeconds * trigger.beats,
+    decay: beatSeconds * HIT_DECAY_BEATS,
+  };
+};
+
+/**
+ * Strength of the effect at a point in the slideshow: the intensity on the
+ * beat, easing out to 0 over the decay
+ * @param {Object} effect - Beat effect settings
+ * @param {number} bpm - Tempo in beats per minute
+ * @param {number} time - Seconds since the slideshow started
+ * @returns {number} 0 to the effect intensity
+ */
+const getHit = (effect, bpm, time) => {
+  const { period, decay } = getHitTiming(effect, bpm);
+  const fade = Math.max(0, 1 - (time % period) / decay);
+  return effect.intensity * fade * fade;
+};
+
+/**
+ * FFmpeg expression of getHit, in terms of the frame time `t`
+ * @param {Object} effect - Beat effect settings
+ * @param {number} bpm - Tempo in beats per minute
+ * @returns {string}
+ */
+const getHitExpression = (effect, bpm) => {
+  const { period, decay } = getHitTiming(effect, bpm);
+  return `${effect.intensity}*pow(max(0,1-mod(t,${period.toFixed(
+    6
+  )})/${decay.toFixed(6)}),2)`;
+};
+
+// Shake camera position in the -1..1 range of the zoomed margin. The axes
+// run at different rates so the shake doesn't trace a line.
+const getShake = (hit, time) => ({
+  x: hit * Math.sin(2 * Math.PI * SHAKE_FREQUENCY * time),
+  y: hit * Math.cos(2 * Math.PI * SHAKE_FREQUENCY * 0.7 * time),
+});
+
+// Gain and offset FFmpeg's eq filter gives an 8 bit plane, from its integer
+// path. The gain is rounded down on every pixel, half a level on average.
+const getEqPlane = (contrast, brightness) => {
+  const gain = Math.floor(contrast * 4096);
+  return {
+    gain: gain / 4096,
+    offset:
+      Math.floor((Math.floor(100 * brightness + 100) * 511) / 200) -
+      128 -
+      Math.floor(gain / 32) -
+      0.5,
+  };
+};
+
+/**
+ * Color matrix of the flash for the slider preview. It is the export's eq
+ * filter carried over to RGB: eq scales the limited range luma (16-235) and
+ * the chroma around grey and adds the brightness to the luma.
+ * @param {number} amount - Share of white mixed in
+ * @returns {string} feColorMatrix values
+ */
+const getFlashMatrix = (amount) => {
+  const luma = getEqPlane(1 - amount, amount * FLASH_BRIGHTNESS);
+  const chroma = getEqPlane(1 - amount, 0);
+  // Offsets of the full range luma and chroma
+  const lumaOffset = (luma.gain * 16 + luma.offset - 16) / 219;
+  const chromaOffset = (chroma.gain * 128 + chroma.offset - 128) / 224;
+  // Share of the chroma offset in red, green and blue (BT.601)
+  const chromaWeights = [1.402, -(0.344136 + 0.714136), 1.772];
+  const rows = [0, 1, 2].map((channel) => [
+    ...LUMA_WEIGHTS.map(
+      (weight, i) =>
+        (luma.gain - chroma.gain) * weight +
+        (i === channel ? chroma.gain : 0)
+    ),
+    0,
+    lumaOffset + chromaWeights[channel] * chromaOffset,
+  ]);
+  return [...rows, [0, 0, 0, 1, 0]]
+    .map((row) => row.map((value) => +value.toFixed(4)).join(" "))
+    .join(" ");
+};
+
+/**
+ * Describe the effect at a point in the slideshow, for the slider preview
+ * @param {Object} effect - Beat effect settings
+ * @param {number} bpm - Tempo in beats per minute
+ * @param {number} time - Seconds since the slideshow started
+ * @returns {{transform: string, flash: string|null, split: number}} CSS
+ *   transform of the slides, the flash color matrix (null without a flash)
+ *   and the red/blue channel offset as a fraction of the frame width
+ */
+export const getBeatEffectFrame = (effect, bpm, time) => {
+  const frame = { transform: "none", flash: null, split: 0 };
+  if (!hasBeatEffect(effect)) return frame;
+
+  const hit = getHit(effect, bpm, time);
+  switch (effect.type) {
+    case "pulse":
+      return { ...frame, transform: `scale(${1 + PULSE_ZOOM * hit})` };
+    case "flash":
+      return { ...frame, flash: getFlashMatrix(FLASH_AMOUNT * hit) };
+    case "shake":
+      return {
+        ...frame,
+        transform: getCameraTransform({
+          scale: 1 + SHAKE_ZOOM,
+          ...getShake(hit, time),
+        }),
+      };
+    case "rgbSplit":
+      return { ...frame, split: RGB_SPLIT_WIDTH * hit };
+    default:
+      return frame;
+  }
+};
+
+/**
+ * Build the FFmpeg filter that applies the effect to the finished slideshow.
+ * Frame times must start at 0 with the music's start point.
+ * @param {Object} effect - Beat effect settings
+ * @param {number} bpm - Tempo in beats per minute
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {string} Filter chain, or an empty string when the effect is off
+ */
+export const buildBeatEffectFilter = (effect, bpm, width, height) => {
+  if (!hasBeatEffect(effect)) return "";
+
+  const hit = getHitExpression(effect, bpm);
+  switch (effect.type) {
+    case "pulse": {
+      const scale = `(1+${PULSE_ZOOM}*${hit})`;
+      return [
+        `scale=w='trunc(${width}*${scale}/2)*2':h='trunc(${height}*${scale}/2)*2':eval=frame`,
+        `crop=${width}:${height}`,
+      ].join(",");
+    }
+    case "flash": {
+      // Mixing in white is a lower contrast, brighter and paler frame
+      const amount = `(${FLASH_AMOUNT}*${hit})`;
+      return `eq=contrast='1-${amount}':brightness='${amount}*${FLASH_BRIGHTNESS}':saturation='1-${amount}':eval=frame`;
+    }
+    case "shake": {
+      const phase = `2*PI*${SHAKE_FREQUENCY}*t`;
+      const offset = (inputSize, size, wave) =>
+        `(${inputSize}-${size})/2*(1+${hit}*${wave})`;
+      return [
+        `scale=${Math.round((width * (1 + SHAKE_ZOOM)) / 2) * 2}:${
+          Math.round((height * (1 + SHAKE_ZOOM)) / 2) * 2
+        }`,
+        `crop=${width}:${height}:x='${offset(
+          "iw",
+          width,
+          `sin(${phase})`
+        )}':y='${offset("ih", height, `cos(0.7*${phase})`)}'`,
+      ].join(",");
+    }
+    case "rgbSplit": {
+      // Shift the red plane left and the blue plane right inside a margin
+      const margin = Math.ceil(width * RGB_SPLIT_WIDTH);
+      const shift = `${width * RGB_SPLIT_WIDTH}*${hit}`;
+      const moved = (x) =>
+        `pad=iw+${margin * 2}:ih:${margin}:0,crop=${width}:${height}:x='${x}':y=0`;
+      return [
+        "format=gbrp,extractplanes=r+g+b[beatr][beatg][beatb]",
+        `[beatr]${moved(`${margin}+${shift}`)}[beatred]`,
+        `[beatb]${moved(`${margin}-${shift}`)}[beatblue]`,
+        "[beatg][beatblue][beatred]mergeplanes=0x001020:gbrp,format=yuv420p",
+      ].join(";");
+    }
+    default:
+      return "";
+  }
+};
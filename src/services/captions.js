@@ -0,0 +1,230 @@
+// src/services/captions.js
+// Per-slide text captions, drawn as live overlays in the slider and
+// rasterized into transparent frames for the FFmpeg export. Sizes are
+// relative to the frame so both look the same at any resolution.
+
+export const CAPTION_POSITIONS = [
+  { value: "top", label: "Top" },
+  { value: "center", label: "Center" },
+  { value: "bottom", label: "Bottom" },
+];
+
+export const CAPTION_FONTS = [
+  { value: "sans", label: "Sans", family: "Helvetica, Arial, sans-serif" },
+  {
+    value: "serif",
+    label: "Serif",
+    family: "Georgia, 'Times New Roman', serif",
+  },
+  {
+    value: "mono",
+    label: "Mono",
+    family: "'Courier New', Courier, monospace",
+  },
+  {
+    value: "impact",
+    label: "Impact",
+    family: "Impact, 'Arial Black', sans-serif",
+  },
+];
+
+export const CAPTION_EFFECTS = [
+  { value: "none", label: "Plain" },
+  { value: "stroke", label: "Outline" },
+  { value: "shadow", label: "Shadow" },
+];
+
+// Font size range in percent of the frame height
+export const CAPTION_MIN_SIZE = 2;
+export const CAPTION_MAX_SIZE = 12;
+
+export const DEFAULT_CAPTION = {
+  text: "",
+  position: "bottom",
+  font: "sans",
+  size: 5,
+  color: "#ffffff",
+  effect: "shadow",
+  effectColor: "#000000",
+  // Seconds from the start of the slide, `end: null` keeps it to the end
+  start: 0,
+  end: null,
+};
+
+// Layout, as fractions of the frame
+const CAPTION_EDGE_MARGIN = 0.06;
+const CAPTION_MAX_WIDTH = 0.9;
+const CAPTION_LINE_HEIGHT = 1.2;
+// Effect sizes, as fractions of the font size
+const CAPTION_STROKE_WIDTH = 0.08;
+const CAPTION_SHADOW_OFFSET = 0.04;
+const CAPTION_SHADOW_BLUR = 0.12;
+
+/**
+ * Check whether a caption has anything to show
+ * @param {Object} caption - Caption settings
+ * @returns {boolean}
+ */
+export const hasCaption = (caption) =>
+  !!caption && typeof caption.text === "string" && caption.text.trim() !== "";
+
+/**
+ * Check whether a caption stays up until the slide is gone
+ * @param {Object} caption - Caption settings
+ * @returns {boolean}
+ */
+export const captionRunsToEnd = (caption) =>
+  caption.end === null || caption.end === undefined || caption.end === "";
+
+/**
+ * Get the time window a caption is visible in, clamped to the slide
+ * @param {Object} caption - Caption settings
+ * @param {number} slideDuration - Slide duration in seconds
+ * @returns {{start: number, end: number}|null} Seconds from the slide start,
+ *   or null when the caption never shows
+ */
+export const getCaptionTiming = (caption, slideDuration) => {
+  const start = Math.max(0, Number(caption.start) || 0);
+  const end = captionRunsToEnd(caption)
+    ? slideDuration
+    : Math.min(Number(caption.end), slideDuration);
+  return end > start ? { start, end } : null;
+};
+
+const getFontFamily = (font) =>
+  (CAPTION_FONTS.find((option) => option.value === font) || CAPTION_FONTS[0])
+    .family;
+
+/**
+ * CSS for the live caption overlay. Sizes use container query units, so the
+ * caption layer must be a size container covering the slide.
+ * @param {Object} caption - Caption settings
+ * @returns {Object} React style object
+ */
+export const getCaptionStyle = (caption) => {
+  const margin = `${CAPTION_EDGE_MARGIN * 100}cqh`;
+  const style = {
+    position: "absolute",
+    left: `${((1 - CAPTION_MAX_WIDTH) / 2) * 100}cqw`,
+    right: `${((1 - CAPTION_MAX_WIDTH) / 2) * 100}cqw`,
+    fontFamily: getFontFamily(caption.font),
+    fontSize: `${caption.size}cqh`,
+    fontWeight: 700,
+    lineHeight: CAPTION_LINE_HEIGHT,
+    color: caption.color,
+    textAlign: "center",
+    whiteSpace: "pre-wrap",
+    overflowWrap: "break-word",
+  };
+
+  if (caption.position === "top") {
+    style.top = margin;
+  } else if (caption.position === "center") {
+    style.top = "50%";
+    style.transform = "translateY(-50%)";
+  } else {
+    style.bottom = margin;
+  }
+
+  if (caption.effect === "stroke") {
+    style.WebkitTextStroke = `${CAPTION_STROKE_WIDTH * 2}em ${caption.effectColor}`;
+    style.paintOrder = "stroke fill";
+  } else if (caption.effect === "shadow") {
+    style.textShadow = `0 ${CAPTION_SHADOW_OFFSET}em ${CAPTION_SHADOW_BLUR}em ${caption.effectColor}`;
+  }
+  return style;
+};
+
+// Break text into lines that fit the caption width, keeping manual breaks
+const wrapLines = (ctx, text, maxWidth) => {
+  const lines = [];
+  text.split("\n").forEach((paragraph) => {
+    let line = "";
+    paragraph.split(" ").forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && ctx.measureText(candidate).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+};
+
+/**
+ * Draw a caption onto a canvas that covers the whole output frame
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} caption - Caption settings
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ */
+export const drawCaption = (ctx, caption, width, height) => {
+  const fontSize = (caption.size / 100) * height;
+  const lineHeight = fontSize * CAPTION_LINE_HEIGHT;
+  ctx.font = `700 ${fontSize}px ${getFontFamily(caption.font)}`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+
+  const lines = wrapLines(ctx, caption.text, width * CAPTION_MAX_WIDTH);
+  const blockHeight = lines.length * lineHeight;
+  const margin = height * CAPTION_EDGE_MARGIN;
+  let top;
+  if (caption.position === "top") {
+    top = margin;
+  } else if (caption.position === "center") {
+    top = (height - blockHeight) / 2;
+  } else {
+    top = height - margin - blockHeight;
+  }
+
+  lines.forEach((line, index) => {
+    const x = width / 2;
+    const y = top + lineHeight * (index + 0.5);
+
+    ctx.save();
+    if (caption.effect === "shadow") {
+      ctx.shadowColor = caption.effectColor;
+      ctx.shadowOffsetY = fontSize * CAPTION_SHADOW_OFFSET;
+      ctx.shadowBlur = fontSize * CAPTION_SHADOW_BLUR;
+    } else if (caption.effect === "stroke") {
+      // Half the stroke sits under the fill, like paint-order in CSS
+      ctx.lineWidth = fontSize * CAPTION_STROKE_WIDTH * 2;
+      ctx.lineJoin = "round";
+      ctx.strokeStyle = caption.effectColor;
+      ctx.strokeText(line, x, y);
+    }
+    ctx.fillStyle = caption.color;
+    ctx.fillText(line, x, y);
+    ctx.restore();
+  });
+};
+
+/**
+ * Rasterize a caption into a transparent PNG the size of the output frame
+ * @param {Object} caption - Caption settings
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {Promise<Uint8Array>} PNG file data
+ */
+export const renderCaptionImage = (caption, width, height) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  drawCaption(canvas.getContext("2d"), caption, width, height);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error("Failed to render caption"));
+        return;
+      }
+      blob
+        .arrayBuffer()
+        .then((buffer) => resolve(new Uint8Array(buffer)))
+        .catch(reject);
+    }, "image/png");
+  });
+};
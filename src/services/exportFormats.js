@@ -0,0 +1,377 @@
+// src/services/exportFormats.js
+// Output containers the export can produce, with their presets and the FFmpeg
+// encoder settings used for each.
+
+/**
+ * Export presets, from quick drafts to archive masters. Every format holds
+ * its own settings for each preset (see EXPORT_FORMATS).
+ */
+export const EXPORT_PRESETS = [
+  { value: "draft", label: "Draft" },
+  { value: "standard", label: "Standard" },
+  { value: "high", label: "High" },
+  { value: "archive", label: "Archive" },
+];
+
+/**
+ * Available export formats. `hasAudio` marks containers that carry the music
+ * track. Each preset holds the frame rate and encoder settings for the
+ * format, plus `bitsPerPixel`, the typical size of a slideshow frame used
+ * for the file size estimate, and `encodeSpeed`, how fast the encoder runs
+ * relative to x264 `ultrafast`.
+ */
+export const EXPORT_FORMATS = [
+  {
+    value: "mp4",
+    label: "MP4",
+    description: "MP4 Video",
+    extension: ".mp4",
+    mimeType: "video/mp4",
+    hasAudio: true,
+    presets: {
+      draft: {
+        fps: 24,
+        crf: 28,
+        encoderPreset: "ultrafast",
+        audioBitrate: "128k",
+        bitsPerPixel: 0.05,
+        encodeSpeed: 1,
+      },
+      standard: {
+        fps: 30,
+        crf: 23,
+        encoderPreset: "veryfast",
+        audioBitrate: "192k",
+        bitsPerPixel: 0.06,
+        encodeSpeed: 0.6,
+      },
+      high: {
+        fps: 60,
+        crf: 20,
+        encoderPreset: "fast",
+        audioBitrate: "256k",
+        bitsPerPixel: 0.05,
+        encodeSpeed: 0.3,
+      },
+      archive: {
+        fps: 60,
+        crf: 16,
+        encoderPreset: "slow",
+        audioBitrate: "320k",
+        bitsPerPixel: 0.1,
+        encodeSpeed: 0.12,
+      },
+    },
+  },
+  {
+    value: "webm",
+    label: "WebM",
+    description: "WebM Video",
+    extension: ".webm",
+    mimeType: "video/webm",
+    hasAudio: true,
+    presets: {
+      draft: {
+        fps: 24,
+        crf: 40,
+        bitrate: "1M",
+        deadline: "realtime",
+        cpuUsed: 8,
+        audioBitrate: "96k",
+        bitsPerPixel: 0.03,
+        encodeSpeed: 0.5,
+      },
+      standard: {
+        fps: 30,
+        crf: 33,
+        bitrate: "2M",
+        deadline: "realtime",
+        cpuUsed: 6,
+        audioBitrate: "128k",
+        bitsPerPixel: 0.04,
+        encodeSpeed: 0.35,
+      },
+      high: {
+        fps: 60,
+        crf: 28,
+        bitrate: "4M",
+        deadline: "good",
+        cpuUsed: 4,
+        audioBitrate: "160k",
+        bitsPerPixel: 0.04,
+        encodeSpeed: 0.15,
+      },
+      archive: {
+        fps: 60,
+        crf: 20,
+        bitrate: "8M",
+        deadline: "good",
+        cpuUsed: 2,
+        audioBitrate: "256k",
+        bitsPerPixel: 0.08,
+        encodeSpeed: 0.06,
+      },
+    },
+  },
+  {
+    value: "gif",
+    label: "GIF",
+    description: "Animated GIF",
+    extension: ".gif",
+    mimeType: "image/gif",
+    hasAudio: false,
+    presets: {
+      draft: {
+        fps: 10,
+        width: 320,
+        colors: 64,
+        bitsPerPixel: 1.5,
+        encodeSpeed: 0.8,
+      },
+      standard: {
+        fps: 12,
+        width: 480,
+        colors: 128,
+        bitsPerPixel: 2,
+        encodeSpeed: 0.6,
+      },
+      high: {
+        fps: 15,
+        width: 720,
+        colors: 256,
+        bitsPerPixel: 2.5,
+        encodeSpeed: 0.5,
+      },
+      archive: {
+        fps: 24,
+        width: 1080,
+        colors: 256,
+        bitsPerPixel: 2.5,
+        encodeSpeed: 0.4,
+      },
+    },
+  },
+  {
+    value: "webp",
+    label: "WebP",
+    description: "Animated WebP",
+    extension: ".webp",
+    mimeType: "image/webp",
+    hasAudio: false,
+    presets: {
+      draft: {
+        fps: 12,
+        width: 360,
+        quality: 50,
+        bitsPerPixel: 0.25,
+        encodeSpeed: 0.4,
+      },
+      standard: {
+        fps: 15,
+        width: 540,
+        quality: 70,
+        bitsPerPixel: 0.35,
+        encodeSpeed: 0.3,
+      },
+      high: {
+        fps: 24,
+        width: 720,
+        quality: 85,
+        bitsPerPixel: 0.5,
+        encodeSpeed: 0.25,
+      },
+      archive: {
+        fps: 30,
+        width: 1080,
+        quality: 95,
+        bitsPerPixel: 0.9,
+        encodeSpeed: 0.2,
+      },
+    },
+  },
+];
+
+export const DEFAULT_EXPORT_FORMAT = "mp4";
+export const DEFAULT_EXPORT_PRESET = "standard";
+
+// Pixels per second x264 `ultrafast` gets through in the browser's FFmpeg,
+// the baseline for the render time estimate
+const BASE_ENCODE_PIXELS_PER_SECOND = 8000000;
+
+/**
+ * Look up an export format by value, falling back to MP4
+ * @param {string} value - Format value
+ * @returns {Object} Format definition
+ */
+export const getExportFormat = (value) =>
+  EXPORT_FORMATS.find((format) => format.value === value) || EXPORT_FORMATS[0];
+
+/**
+ * Look up the settings of a preset for a format, falling back to the
+ * default preset
+ * @param {Object} format - Format definition
+ * @param {string} value - Preset value
+ * @returns {Object} Preset settings
+ */
+export const getExportPreset = (format, value) =>
+  format.presets[value] || format.presets[DEFAULT_EXPORT_PRESET];
+
+/**
+ * Get the size of the encoded frames. Animated images are scaled down to
+ * the preset width, videos keep the export size.
+ * @param {Object} preset - Preset settings of the format
+ * @param {number} width - Export width
+ * @param {number} height - Export height
+ * @returns {{width: number, height: number}}
+ */
+const getEncodedSize = (preset, width, height) => {
+  if (!preset.width || preset.width >= width) return { width, height };
+  return {
+    width: preset.width,
+    height: Math.round((height * preset.width) / width),
+  };
+};
+
+/**
+ * Roughly estimate the size of the exported file and how long it takes to
+ * render. Both depend on the images and the device, so they are meant as a
+ * guide for picking a preset.
+ * @param {Object} options
+ * @param {Object} options.format - Format definition
+ * @param {Object} options.preset - Preset settings of the format
+ * @param {number} options.width - Export width
+ * @param {number} options.height - Export height
+ * @param {number} options.duration - Export length in seconds
+ * @param {boolean} options.hasMusic - Whether the export carries the music
+ * @returns {{bytes: number, seconds: number}}
+ */
+export const estimateExport = ({
+  format,
+  preset,
+  width,
+  height,
+  duration,
+  hasMusic,
+}) => {
+  const frames = duration * preset.fps;
+  const encoded = getEncodedSize(preset, width, height);
+  let bytes =
+    (encoded.width * encoded.height * frames * preset.bitsPerPixel) / 8;
+  if (hasMusic && format.hasAudio) {
+    bytes += (parseInt(preset.audioBitrate, 10) * 1000 * duration) / 8;
+  }
+
+  // The slides are rendered at export size first, then joined and encoded
+  const slidePixels = width * height * frames;
+  const encodePixels = encoded.width * encoded.height * frames;
+  const seconds =
+    slidePixels / BASE_ENCODE_PIXELS_PER_SECOND +
+    encodePixels / (BASE_ENCODE_PIXELS_PER_SECOND * preset.encodeSpeed);
+
+  return { bytes, seconds };
+};
+
+/**
+ * File type entry for `showSaveFilePicker`
+ * @param {Object} format - Format definition
+ * @returns {{description: string, accept: Object}}
+ */
+export const getSavePickerType = (format) => ({
+  description: format.description,
+  accept: { [format.mimeType]: [format.extension] },
+});
+
+/**
+ * Build the format specific filter that runs on the finished slideshow.
+ * Animated image formats are scaled down to keep the files small, GIF then
+ * gets its own palette (see getPaletteFilters). The frame rate is already
+ * set by the preset.
+ * @param {Object} format - Format definition
+ * @param {Object} preset - Preset settings of the format
+ * @param {number} width - Width of the slideshow video
+ * @returns {string} Filter chain, or an empty string for video formats
+ */
+export const getFormatVideoFilter = (format, preset, width) => {
+  if (format.value !== "gif" && format.value !== "webp") return "";
+  return `scale=${Math.min(preset.width, width)}:-2:flags=lanczos`;
+};
+
+/**
+ * Get the filters of the GIF palette. The palette is made in a pass of its
+ * own: `generate` reads the finished slideshow and writes a one frame
+ * palette image, `use` maps the slideshow onto it, read as a second input.
+ * Made in the same pass, every frame would be held in memory until the
+ * palette is known.
+ * @param {Object} format - Format definition
+ * @param {Object} preset - Preset settings of the format
+ * @returns {{generate: string, use: string}|null} Filters, or null for
+ *   formats without a palette
+ */
+export const getPaletteFilters = (format, preset) =>
+  format.value === "gif"
+    ? {
+        generate: `palettegen=max_colors=${preset.colors}:stats_mode=diff`,
+        use: "paletteuse=dither=bayer:bayer_scale=3",
+      }
+    : null;
+
+/**
+ * Build the FFmpeg encoder arguments for the chosen format
+ * @param {Object} format - Format definition
+ * @param {Object} preset - Preset settings of the format
+ * @param {Object} [options]
+ * @param {boolean} [options.fallback] - Use VP8 instead of VP9 for WebM
+ * @returns {string[]} Arguments placed between the mapping and the output name
+ */
+export const buildEncoderArgs = (format, preset, { fallback } = {}) => {
+  switch (format.value) {
+    case "webm":
+      return [
+        "-c:v",
+        fallback ? "libvpx" : "libvpx-vp9",
+        "-crf",
+        String(preset.crf),
+        // VP9 runs in pure constant quality, VP8 needs a bitrate ceiling
+        "-b:v",
+        fallback ? preset.bitrate : "0",
+        "-deadline",
+        preset.deadline,
+        "-cpu-used",
+        String(preset.cpuUsed),
+        "-pix_fmt",
+        "yuv420p",
+        "-c:a",
+        "libopus",
+        "-b:a",
+        preset.audioBitrate,
+      ];
+    case "gif":
+      return ["-loop", "0"];
+    case "webp":
+      return [
+        "-c:v",
+        "libwebp_anim",
+        "-lossless",
+        "0",
+        "-quality",
+        String(preset.quality),
+        "-loop",
+        "0",
+      ];
+    default:
+      return [
+        "-c:v",
+        "libx264",
+        "-crf",
+        String(preset.crf),
+        "-preset",
+        preset.encoderPreset,
+        "-pix_fmt",
+        "yuv420p",
+        "-c:a",
+        "aac",
+        "-b:a",
+        preset.audioBitrate,
+      ];
+  }
+};
@@ -0,0 +1,92 @@
+// src/services/exportFrame.js
+// Output frame sizes for the export and how slides are fitted into them.
+
+import { hasCrop, buildCropFilter } from "./slideCrop";
+
+export const CUSTOM_RESOLUTION = "custom";
+
+export const RESOLUTION_PRESETS = [
+  { value: "720x1280", label: "720p (9:16)" },
+  { value: "1080x1920", label: "1080p (9:16)" },
+  { value: "1080x1080", label: "Square (1:1)" },
+  { value: "1080x1350", label: "Feed (4:5)" },
+  { value: "1920x1080", label: "Landscape (16:9)" },
+  { value: CUSTOM_RESOLUTION, label: "Custom..." },
+];
+
+export const FIT_MODES = [
+  { value: "contain", label: "Fit (letterbox)" },
+  { value: "cover", label: "Fill (crop)" },
+];
+
+// Limits for custom sizes, large frames quickly exhaust the wasm memory
+export const MIN_FRAME_SIZE = 240;
+export const MAX_FRAME_SIZE = 3840;
+const MAX_FRAME_PIXELS = 3840 * 2160;
+
+/**
+ * Split a "WIDTHxHEIGHT" string into numbers
+ * @param {string} resolution - Resolution string
+ * @returns {{width: number, height: number}}
+ */
+export const parseResolution = (resolution) => {
+  const [width, height] = String(resolution).split("x").map(Number);
+  return { width, height };
+};
+
+/**
+ * Check a custom frame size
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ * @returns {string|null} Error message, or null when the size can be exported
+ */
+export const validateResolution = (width, height) => {
+  if (!Number.isInteger(width) || !Number.isInteger(height)) {
+    return "Width and height must be whole numbers";
+  }
+  if (
+    width < MIN_FRAME_SIZE ||
+    height < MIN_FRAME_SIZE ||
+    width > MAX_FRAME_SIZE ||
+    height > MAX_FRAME_SIZE
+  ) {
+    return `Width and height must be between ${MIN_FRAME_SIZE} and ${MAX_FRAME_SIZE}`;
+  }
+  // H.264 and VP9 store colour at half resolution, so odd sizes fail
+  if (width % 2 !== 0 || height % 2 !== 0) {
+    return "Width and height must be even numbers";
+  }
+  if (width * height > MAX_FRAME_PIXELS) {
+    return "Frame is too large, keep it within 4K (3840x2160)";
+  }
+  return null;
+};
+
+/**
+ * Build the FFmpeg filter that fits a slide into the output frame
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @param {string} fitMode - 'contain' letterboxes the whole image, 'cover'
+ *   fills the frame and crops the overflow
+ * @param {string} [padColor] - Color of the letterbox bars
+ * @param {Object} [crop] - Focal point and zoom of the slide (see
+ *   slideCrop.js)
+ * @returns {string} Filter chain
+ */
+export const getCoverFilterString = (
+  width,
+  height,
+  fitMode,
+  padColor = "black",
+  crop = null
+) => {
+  if (hasCrop(crop)) {
+    const placed = buildCropFilter(crop, width, height, fitMode);
+    if (fitMode === "cover") return `${placed},setsar=1`;
+    return `${placed},pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:${padColor},setsar=1`;
+  }
+  if (fitMode === "cover") {
+    return `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},setsar=1`;
+  }
+  return `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:${padColor},setsar=1`;
+};
@@ -0,0 +1,206 @@
+// src/services/exportGraph.js
+// Builds the FFmpeg filter graphs of the export: one per slide segment (fit,
+// motion and caption) and one that joins the segments into the slideshow.
+
+import { getCoverFilterString } from "./exportFrame";
+import { getPadColor, buildBackgroundFilter } from "./background";
+import { buildMotionFilter } from "./motion";
+import { buildTransitionFilterGraph } from "./transitions";
+import { hasCrop, buildCropFilter } from "./slideCrop";
+
+/**
+ * Build the filters that fit the image into the frame. Letterboxed images
+ * get their background either from the pad color or from a copy of the
+ * image laid underneath. The crop moves and enlarges the image, never its
+ * background.
+ * @returns {string[]} Filters reading `[0:v]` and writing `[fitted]`
+ */
+const buildFitFilters = (width, height, fitMode, background, crop) => {
+  const padColor = getPadColor(background);
+  if (fitMode === "cover" || padColor) {
+    return [
+      `[0:v]${getCoverFilterString(
+        width,
+        height,
+        fitMode,
+        padColor,
+        crop
+      )}[fitted]`,
+    ];
+  }
+  const photo = hasCrop(crop)
+    ? buildCropFilter(crop, width, height, fitMode)
+    : `scale=${width}:${height}:force_original_aspect_ratio=decrease`;
+  return [
+    "[0:v]split[front][back]",
+    `[back]${buildBackgroundFilter(background, width, height)}[fill]`,
+    `[front]${photo}[photo]`,
+    "[fill][photo]overlay=(W-w)/2:(H-h)/2,setsar=1[fitted]",
+  ];
+};
+
+/**
+ * Build the filter graph that renders one slide into a segment. The image or
+ * video clip is read from input 0 and, when the slide has a caption, the
+ * caption PNG from input 1. An image is decoded and fitted once, then
+ * repeated for the whole segment. A clip plays from the start of its input,
+ * so the input must already be cut to the clip's in point.
+ * @param {Object} options
+ * @param {Object} options.slide - Slide with `frames` (frames on screen),
+ *   `tailFrames` (extra frames kept for the transition out), `motion`,
+ *   `caption` (null or { start, end } in seconds), `clip` (null for an
+ *   image, { start } for a video clip) and `crop` (null or the focal point
+ *   and zoom, see slideCrop.js)
+ * @param {number} options.width - Output width
+ * @param {number} options.height - Output height
+ * @param {string} options.fitMode - Fit mode ('cover' or 'contain')
+ * @param {Object} options.background - Fill behind letterboxed images (see
+ *   background.js)
+ * @param {number} options.fps - Frame rate, the image input must be read at
+ *   the same rate (`-framerate`)
+ * @returns {{filter: string, output: string}} filter_complex string and the
+ *   label of the segment stream
+ */
+export const buildSegmentFilterGraph = ({
+  slide,
+  width,
+  height,
+  fitMode,
+  background,
+  fps,
+}) => {
+  const frames = Math.max(1, slide.frames + slide.tailFrames);
+  const chain = slide.clip
+    ? [
+        // Clips are brought to the export frame rate, one that ends early
+        // holds its last frame
+        "format=yuv420p",
+        `fps=${fps}`,
+        `tpad=stop_mode=clone:stop=${frames}`,
+        `trim=end_frame=${frames}`,
+        `setpts=N/${fps}/TB`,
+      ]
+    : [
+        "format=yuv420p",
+        `loop=loop=${frames - 1}:size=1`,
+        `setpts=N/${fps}/TB`,
+      ];
+  // Ken Burns motion runs on the frame that is already at output size
+  const motion = buildMotionFilter(
+    slide.motion,
+    width,
+    height,
+    slide.frames / fps
+  );
+  // Motion rescales the frame, keep square pixels so the clips can be joined
+  if (motion) chain.push(motion, "setsar=1");
+
+  const filters = buildFitFilters(
+    width,
+    height,
+    fitMode,
+    background,
+    slide.crop
+  );
+  if (!slide.caption) {
+    filters.push(`[fitted]${chain.join(",")}[vout]`);
+    return { filter: filters.join(";"), output: "[vout]" };
+  }
+
+  // The caption is laid over the moving image so it stays in place
+  const { start, end } = slide.caption;
+  const enable =
+    end === null
+      ? `gte(t,${start.toFixed(3)})`
+      : `between(t,${start.toFixed(3)},${end.toFixed(3)})`;
+  filters.push(
+    `[fitted]${chain.join(",")}[base]`,
+    "[1:v]format=rgba[caption]",
+    `[base][caption]overlay=0:0:enable='${enable}',format=yuv420p[vout]`
+  );
+  return { filter: filters.join(";"), output: "[vout]" };
+};
+
+// Clips in the form buildTransitionFilterGraph takes
+const toTransitionClips = (clips, fps, transitionType) =>
+  clips.map((clip) => ({
+    duration: clip.frames / fps,
+    transition: {
+      type: transitionType,
+      seconds: clip.transitionFrames / fps,
+    },
+  }));
+
+/**
+ * Build the filter graph that joins a run of slide segments into a longer
+ * segment, so a long slideshow never opens all its segments in one FFmpeg
+ * run. The last clip keeps its tail, the result joins the next run with the
+ * transition of its own last clip. Clip `i` of the run is read from input
+ * `i`.
+ * @param {Object} options
+ * @param {Array<{frames: number, transitionFrames: number}>} options.clips
+ *   At least two segments, as in buildSlideshowFilterGraph
+ * @param {number} options.fps - Frame rate of the segments
+ * @param {string} options.transitionType - Transition value
+ * @returns {{filter: string, output: string}} filter_complex string and the
+ *   label of the joined stream
+ */
+export const buildJoinFilterGraph = ({ clips, fps, transitionType }) =>
+  buildTransitionFilterGraph(toTransitionClips(clips, fps, transitionType));
+
+/**
+ * Build the filter graph that joins the slide segments into the slideshow.
+ * Clip `i` of the playback order is read from input `i`. All segments must
+ * come from buildSegmentFilterGraph so their frame rate and time base match,
+ * which xfade requires.
+ * @param {Object} options
+ * @param {Array<{frames: number, transitionFrames: number}>} options.clips
+ *   Segments in playback order with their frames on screen (see
+ *   getTimelineFrames) and the length of the transition into each
+ * @param {number} options.fps - Frame rate of the segments
+ * @param {string} options.transitionType - Transition value
+ * @param {number} [options.seamFrames] - Length of the crossfade from the
+ *   end of the video back into its first frame, 0 for none. Makes the video
+ *   loop without a jump.
+ * @param {string} [options.effectFilter] - Beat effect for the joined
+ *   slideshow (see beatEffects.js)
+ * @param {string} [options.outputFilter] - Filter for the finished video
+ * @returns {{filter: string, output: string}} filter_complex string and the
+ *   label of the final video stream
+ */
+export const buildSlideshowFilterGraph = ({
+  clips,
+  fps,
+  transitionType,
+  seamFrames = 0,
+  effectFilter = "",
+  outputFilter = "",
+}) => {
+  const joined = buildTransitionFilterGraph(
+    toTransitionClips(clips, fps, transitionType)
+  );
+  const totalFrames = clips.reduce((total, clip) => total + clip.frames, 0);
+
+  // Drop the unused tail of the last clip
+  const trim = `trim=end_frame=${totalFrames},setpts=PTS-STARTPTS`;
+  const finish = [];
+  if (effectFilter) finish.push(effectFilter);
+  if (outputFilter) finish.push(outputFilter);
+
+  const filters = joined.filter ? [joined.filter] : [];
+  if (seamFrames > 0) {
+    // Fade the end into a still of the first frame, which is where the
+    // video picks up again when it repeats
+    const seam = `xfade=transition=fade:duration=${(seamFrames / fps).toFixed(
+      6
+    )}:offset=${((totalFrames - seamFrames) / fps).toFixed(6)}`;
+    filters.push(
+      `${joined.output}${trim},split[seambody][seamhead]`,
+      `[seamhead]trim=end_frame=1,loop=loop=${seamFrames - 1}:size=1,setpts=N/${fps}/TB[seamstill]`,
+      `[seambody][seamstill]${[seam, ...finish].join(",")}[vout]`
+    );
+  } else {
+    filters.push(`${joined.output}${[trim, ...finish].join(",")}[vout]`);
+  }
+  return { filter: filters.join(";"), output: "[vout]" };
+};
@@ -1,58 +1,73 @@
-export function initiateExport(data, config) {
+// The export worker is kept alive between exports so FFmpeg only loads once
+let exportWorker = null;
+
+/**
+ * Run an export in the background worker
+ * @param {Object} data - Slideshow content (see processExport in exportWorker.js)
+ * @param {Object} config - Export settings
+ * @param {Object} [callbacks]
+ * @param {Function} [callbacks.onProgress] - Called with { progress, message }
+ * @returns {Promise<Uint8Array>} The exported file. Rejects with an
+ *   AbortError when the export is cancelled.
+ */
+export function initiateExport(data, config, { onProgress } = {}) {
   return new Promise((resolve, reject) => {
     try {
       const exportWorker = createExportWorker();
       
       exportWorker.onmessage = (event) => {
-        if (event.data.type === 'complete') {
+        if (event.data.type === 'progress') {
+          if (onProgress) onProgress(event.data);
+        } else if (event.data.type === 'complete') {
           resolve(event.data.file);
-          exportWorker.terminate();
         } else if (event.data.type === 'error') {
           reject(new Error(event.data.error));
-          exportWorker.terminate();
+        } else if (event.data.type === 'cancelled') {
+          reject(new DOMException('Export cancelled', 'AbortError'));
         }
       };
       
       exportWorker.onerror = (error) => {
-        reject(error);
+        reject(new Error(error.message || 'Export worker crashed'));
         exportWorker.terminate();
+        resetExportWorker();
       };
       
       // Start the export process
-      exportWorker.postMessage({ data, config });
+      exportWorker.postMessage({ type: 'export', data, config });
     } catch (error) {
       reject(error);
     }
   });
 }
 
-function createExportWorker() {
-  const workerCode = `
-    self.onmessage = async (event) => {
-      const { data, config } = event.data;
-      
-      try {
-        // Basic export processing
-        const exportedFile = await processExport(data, config);
-        
-        self.postMessage({ 
-          type: 'complete', 
-          file: exportedFile 
-        });
-      } catch (error) {
-        self.postMessage({ 
-          type: 'error', 
-          error: error.message 
-        });
-      }
-    };
-    
-    async function processExport(data, config) {
-      console.log('Processing export', data, config);
-      return data; // Temporary return
-    }
-  `;
+/**
+ * Start loading FFmpeg in the export worker ahead of the first export
+ */
+export function preloadExportWorker() {
+  createExportWorker().postMessage({ type: 'load' });
+}
 
-  const blob = new Blob([workerCode], { type: 'application/javascript' });
-  return new Worker(URL.createObjectURL(blob));
-}
\ No newline at end of file
+/**
+ * Cancel the running export. The worker stops FFmpeg, drops its temp files
+ * and reloads FFmpeg so it is ready for the next export.
+ */
+export function cancelExport() {
+  if (exportWorker) {
+    exportWorker.postMessage({ type: 'cancel' });
+  }
+}
+
+function resetExportWorker() {
+  exportWorker = null;
+}
+
+function createExportWorker() {
+  if (!exportWorker) {
+    exportWorker = new Worker(
+      new URL('../workers/exportWorker.js', import.meta.url),
+      { type: 'module' }
+    );
+  }
+  return exportWorker;
+}
@@ -0,0 +1,124 @@
+// src/services/ffmpegLog.js
+// Reads FFmpeg's log output: the stats line it prints while encoding and the
+// error lines that explain why a run failed.
+
+// Stats line FFmpeg prints while it runs, e.g.
+// "frame=  150 fps= 42 q=18.0 size=  256kB time=00:00:04.73 ... speed=1.39x"
+const STATS_PATTERN =
+  /frame=\s*(\d+)\s+fps=\s*([\d.]+).*?time=\s*(-?[\d:.]+).*?speed=\s*([\d.]+x|N\/A)/;
+
+/**
+ * Convert an FFmpeg timestamp to seconds
+ * @param {string} timestamp - "HH:MM:SS.ms"
+ * @returns {number|null} Seconds, or null when it can't be read
+ */
+const parseTimestamp = (timestamp) => {
+  const parts = timestamp.split(":").map(Number);
+  if (parts.length !== 3 || parts.some(Number.isNaN) || parts[0] < 0) {
+    return null;
+  }
+  return parts[0] * 3600 + parts[1] * 60 + parts[2];
+};
+
+/**
+ * Parse an FFmpeg stats line
+ * @param {string} line - Log line
+ * @returns {{frame: number, fps: number, time: number|null, speed: number|null}|null}
+ *   Frames written so far, processing rate in frames per second, position in
+ *   the output in seconds and speed relative to real time, or null when the
+ *   line is not a stats line
+ */
+export const parseStatsLine = (line) => {
+  const match = STATS_PATTERN.exec(line);
+  if (!match) return null;
+  return {
+    frame: Number(match[1]),
+    fps: Number(match[2]),
+    time: parseTimestamp(match[3]),
+    speed: match[4] === "N/A" ? null : parseFloat(match[4]),
+  };
+};
+
+// Name the export's temp files the way the user knows them
+const describeFile = (name) => {
+  let match = /input_(\d+)\.(\w+)/.exec(name);
+  if (match) {
+    return `${match[2] === "mp4" ? "Video clip" : "Image"} ${
+      Number(match[1]) + 1
+    }`;
+  }
+  match = /caption_(\d+)\./.exec(name);
+  if (match) return `The caption of slide ${Number(match[1]) + 1}`;
+  match = /segment_(\d+)_/.exec(name);
+  if (match) return `The rendered slide ${Number(match[1]) + 1}`;
+  if (name.startsWith("background.")) return "The music file";
+  return name ? `"${name}"` : "An input file";
+};
+
+// Known failures, checked in order against the log. `inputs` lists the
+// input files of the run, by input index.
+const ERROR_RULES = [
+  {
+    pattern: /memory access out of bounds|Cannot allocate memory|out of memory/i,
+    describe: () =>
+      "The export ran out of memory. Try a smaller resolution, a lighter preset or fewer loops.",
+  },
+  {
+    pattern: /^(\S+\.\w+): Invalid data found when processing input/m,
+    describe: (match) =>
+      `${describeFile(match[1])} could not be read. It may be damaged or in an unsupported format.`,
+  },
+  {
+    pattern: /Error while decoding stream #(\d+):\d+/,
+    describe: (match, inputs) =>
+      `${describeFile(inputs[match[1]] || "")} could not be decoded. It may be damaged or in an unsupported format.`,
+  },
+  {
+    pattern: /^(\S+\.\w+): No such file or directory/m,
+    describe: (match) => `${describeFile(match[1])} is missing from the export.`,
+  },
+  {
+    pattern: /Unknown encoder '([^']+)'|Encoder \(codec ([^)]+)\) not found/,
+    describe: (match) =>
+      `This browser's FFmpeg can't encode ${match[1] || match[2]}. Try another format.`,
+  },
+  {
+    pattern: /Error (?:re)?initializing filters|Failed to configure/,
+    describe: () =>
+      "The video effects could not be set up for these export settings. Try another resolution or preset.",
+  },
+];
+
+/**
+ * Turn a failed FFmpeg run into a message a user can act on
+ * @param {string[]} logLines - Recent FFmpeg log lines, oldest first
+ * @param {Object} [run]
+ * @param {string[]} [run.args] - Arguments of the run
+ * @param {Error} [run.error] - Error thrown by the run, if it threw
+ * @returns {string} Readable error message
+ */
+export const describeFFmpegError = (logLines, { args = [], error } = {}) => {
+  const inputs = args.filter((_, index) => args[index - 1] === "-i");
+  const log = [...logLines, error ? String(error.message || error) : ""].join(
+    "\n"
+  );
+  for (const rule of ERROR_RULES) {
+    const match = rule.pattern.exec(log);
+    if (match) return rule.describe(match, inputs);
+  }
+
+  // Fall back to FFmpeg's own last complaint, skipping its closing summary
+  const lastError = [...logLines]
+    .reverse()
+    .find(
+      (line) =>
+        /error|invalid|failed/i.test(line) &&
+        !/^(Conversion failed|Aborted)/.test(line.trim())
+    );
+  if (lastError) {
+    return `FFmpeg could not finish the export: ${lastError.trim()}`;
+  }
+  return error && error.message
+    ? `FFmpeg could not finish the export: ${error.message}`
+    : "FFmpeg could not finish the export.";
+};
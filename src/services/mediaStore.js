@@ -0,0 +1,238 @@
+// src/services/mediaStore.js
+// Slide images kept out of React state. Each file is stored once, in the
+// Origin Private File System where the browser supports it or as a Blob
+// otherwise, and stories reference it by ID. Object URLs are only handed out
+// while an image is in use, so a project with hundreds of photos keeps just
+// the few on screen in memory.
+
+// Story fields that hold media IDs: the display image or video clip, the
+// pre-scaled export image, the edit panel thumbnail and the poster frame of a
+// clip. Only `mediaId` is always set.
+export const STORY_MEDIA_KEYS = [
+  "mediaId",
+  "exportMediaId",
+  "thumbnailMediaId",
+  "posterMediaId",
+];
+
+const MEDIA_DIRECTORY = "slide-media";
+// Every visit holds a lock on its folder until its tab closes, folders of
+// earlier visits whose lock is free are removed. Browsers without Web Locks
+// remove folders once they are this old (ms), newer ones may belong to the
+// app open in another tab.
+const STALE_FOLDER_AGE = 24 * 60 * 60 * 1000;
+// Object URLs kept after their last user lets go, so going back and forth
+// between slides doesn't read the files again
+const IDLE_URL_LIMIT = 8;
+
+// Files of this visit live in their own folder, named by when it started
+const folderName = String(Date.now());
+let folderPromise = null;
+// Files that could not be written to the file system
+const memoryFiles = new Map();
+// id -> { promise, url, users }
+const mediaUrls = new Map();
+// IDs of object URLs without users, oldest first
+const idleIds = [];
+
+let nextId = 0;
+const createMediaId = () => `${folderName}-${(nextId++).toString(36)}`;
+
+const getLockName = (name) => `${MEDIA_DIRECTORY}/${name}`;
+
+// Take the lock of this visit's folder and keep it for as long as the page
+// is open
+const holdFolderLock = () =>
+  new Promise((resolve) => {
+    navigator.locks.request(getLockName(folderName), () => {
+      resolve();
+      return new Promise(() => {});
+    });
+  });
+
+// Remove the folder of an earlier visit unless its tab is still open
+const removeUnusedFolder = async (media, name) => {
+  if (name === folderName) return;
+  if (!navigator.locks) {
+    if (Date.now() - Number(name) > STALE_FOLDER_AGE) {
+      await media.removeEntry(name, { recursive: true });
+    }
+    return;
+  }
+  await navigator.locks.request(
+    getLockName(name),
+    { ifAvailable: true },
+    async (lock) => {
+      if (lock) await media.removeEntry(name, { recursive: true });
+    }
+  );
+};
+
+/**
+ * Open the media folder of this visit, clearing out unused ones first
+ * @returns {Promise<FileSystemDirectoryHandle|null>} The folder, or null
+ *   when the browser can't write to its private file system
+ */
+const getFolder = () => {
+  if (!folderPromise) {
+    folderPromise = (async () => {
+      if (
+        !navigator.storage ||
+        !navigator.storage.getDirectory ||
+        typeof FileSystemFileHandle === "undefined" ||
+        !("createWritable" in FileSystemFileHandle.prototype)
+      ) {
+        return null;
+      }
+      try {
+        if (navigator.locks) await holdFolderLock();
+        const root = await navigator.storage.getDirectory();
+        const media = await root.getDirectoryHandle(MEDIA_DIRECTORY, {
+          create: true,
+        });
+        // Collected first, removing entries while listing them can skip some
+        const names = [];
+        for await (const name of media.keys()) names.push(name);
+        for (const name of names) {
+          await removeUnusedFolder(media, name).catch((error) =>
+            console.warn(`Could not remove media folder ${name}:`, error)
+          );
+        }
+        return await media.getDirectoryHandle(folderName, { create: true });
+      } catch (error) {
+        console.warn(
+          "Media folder unavailable, keeping images in memory:",
+          error
+        );
+        return null;
+      }
+    })();
+  }
+  return folderPromise;
+};
+
+/**
+ * Store a media file
+ * @param {Blob} blob - File data
+ * @returns {Promise<string>} Media ID
+ */
+export const saveMedia = async (blob) => {
+  const id = createMediaId();
+  const folder = await getFolder();
+  if (folder) {
+    try {
+      const handle = await folder.getFileHandle(id, { create: true });
+      const writable = await handle.createWritable();
+      await writable.write(blob);
+      await writable.close();
+      return id;
+    } catch (error) {
+      console.warn("Could not write media file, keeping it in memory:", error);
+    }
+  }
+  memoryFiles.set(id, blob);
+  return id;
+};
+
+/**
+ * Read a media file. Files from the file system are read from disk when
+ * their data is used, not when they are loaded.
+ * @param {string} id - Media ID
+ * @returns {Promise<Blob>}
+ */
+export const loadMedia = async (id) => {
+  if (memoryFiles.has(id)) return memoryFiles.get(id);
+  const folder = await getFolder();
+  if (!folder) throw new Error(`Media ${id} not found`);
+  const handle = await folder.getFileHandle(id);
+  return handle.getFile();
+};
+
+// Revoke the object URL of a media file once it has been created
+const revokeMediaUrl = (id) => {
+  const entry = mediaUrls.get(id);
+  if (!entry) return;
+  mediaUrls.delete(id);
+  const idleIndex = idleIds.indexOf(id);
+  if (idleIndex !== -1) idleIds.splice(idleIndex, 1);
+  entry.promise.then(
+    (url) => URL.revokeObjectURL(url),
+    () => {}
+  );
+};
+
+/**
+ * Remove a media file and its object URL
+ * @param {string} id - Media ID
+ * @returns {Promise<void>}
+ */
+export const deleteMedia = async (id) => {
+  revokeMediaUrl(id);
+  if (memoryFiles.delete(id)) return;
+  const folder = await getFolder();
+  if (!folder) return;
+  try {
+    await folder.removeEntry(id);
+  } catch (error) {
+    console.warn(`Could not remove media ${id}:`, error);
+  }
+};
+
+/**
+ * Get an object URL of a media file and hold on to it until
+ * releaseMediaUrl is called with the same ID. Every call needs its own
+ * release.
+ * @param {string} id - Media ID
+ * @returns {Promise<string>} Object URL
+ */
+export const acquireMediaUrl = (id) => {
+  let entry = mediaUrls.get(id);
+  if (!entry) {
+    entry = { url: null, users: 0 };
+    entry.promise = loadMedia(id).then((blob) => {
+      entry.url = URL.createObjectURL(blob);
+      return entry.url;
+    });
+    // A file that failed to load is tried again on the next request
+    entry.promise.catch(() => {
+      if (mediaUrls.get(id) === entry) mediaUrls.delete(id);
+    });
+    mediaUrls.set(id, entry);
+  }
+  entry.users += 1;
+  const idleIndex = idleIds.indexOf(id);
+  if (idleIndex !== -1) idleIds.splice(idleIndex, 1);
+  return entry.promise;
+};
+
+/**
+ * Let go of an object URL from acquireMediaUrl. Once nothing uses it, it is
+ * kept for a while and then revoked.
+ * @param {string} id - Media ID
+ */
+export const releaseMediaUrl = (id) => {
+  const entry = mediaUrls.get(id);
+  if (!entry) return;
+  entry.users -= 1;
+  if (entry.users > 0) return;
+  idleIds.push(id);
+  while (idleIds.length > IDLE_URL_LIMIT) revokeMediaUrl(idleIds[0]);
+};
+
+/**
+ * Get the object URL of a media file if it is already loaded
+ * @param {string} id - Media ID
+ * @returns {string|null}
+ */
+export const peekMediaUrl = (id) => {
+  const entry = mediaUrls.get(id);
+  return entry ? entry.url : null;
+};
+
+/**
+ * List the media IDs a story references
+ * @param {Object} story - Story object
+ * @returns {string[]}
+ */
+export const getStoryMediaIds = (story) =>
+  STORY_MEDIA_KEYS.map((key) => story[key]).filter(Boolean);
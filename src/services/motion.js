@@ -0,0 +1,119 @@
+// src/services/motion.js
+// Ken Burns pan/zoom motion shared by the live slider preview and the FFmpeg export.
+
+export const MOTION_MODES = [
+  { value: "none", label: "Still" },
+  { value: "zoomIn", label: "Zoom In" },
+  { value: "zoomOut", label: "Zoom Out" },
+  { value: "pan", label: "Pan" },
+];
+
+export const MOTION_DIRECTIONS = [
+  { value: "left", label: "Left" },
+  { value: "right", label: "Right" },
+  { value: "up", label: "Up" },
+  { value: "down", label: "Down" },
+];
+
+export const DEFAULT_MOTION = { mode: "none", direction: "right" };
+
+// How far a slide zooms over its full length (0.15 = 115%)
+const MOTION_ZOOM = 0.15;
+
+/**
+ * Describe the motion at its start and end points
+ * @param {Object} motion - Motion settings ({ mode, direction })
+ * @returns {{from: {scale: number, x: number, y: number}, to: {scale: number, x: number, y: number}}}
+ *   Scale factor plus the horizontal/vertical camera position, where -1 and 1
+ *   are the furthest the frame can move without showing an edge
+ */
+const getMotionPoints = (motion) => {
+  const still = { scale: 1, x: 0, y: 0 };
+  const zoomed = { scale: 1 + MOTION_ZOOM, x: 0, y: 0 };
+
+  switch (motion && motion.mode) {
+    case "zoomIn":
+      return { from: still, to: zoomed };
+    case "zoomOut":
+      return { from: zoomed, to: still };
+    case "pan": {
+      const axis =
+        motion.direction === "up" || motion.direction === "down" ? "y" : "x";
+      const sign =
+        motion.direction === "left" || motion.direction === "up" ? -1 : 1;
+      return {
+        from: { ...zoomed, [axis]: -sign },
+        to: { ...zoomed, [axis]: sign },
+      };
+    }
+    default:
+      return { from: still, to: still };
+  }
+};
+
+/**
+ * Check whether a slide has any motion applied
+ * @param {Object} motion - Motion settings
+ * @returns {boolean}
+ */
+export const hasMotion = (motion) =>
+  !!motion &&
+  motion.mode !== "none" &&
+  MOTION_MODES.some((mode) => mode.value === motion.mode);
+
+/**
+ * CSS transform that zooms into the frame and moves the camera
+ * @param {{scale: number, x: number, y: number}} point - Scale factor plus
+ *   the camera position in the -1..1 range of the zoomed margin
+ * @returns {string} CSS transform value
+ */
+export const getCameraTransform = ({ scale, x, y }) => {
+  // translate() is applied before scale(), so it is divided by the scale
+  const maxShift = ((scale - 1) / (2 * scale)) * 100;
+  return `scale(${scale}) translate(${(-x * maxShift).toFixed(3)}%, ${(
+    -y * maxShift
+  ).toFixed(3)}%)`;
+};
+
+/**
+ * CSS transforms for the start and end of the motion
+ * @param {Object} motion - Motion settings
+ * @returns {{from: string, to: string}} CSS transform values
+ */
+export const getMotionTransforms = (motion) => {
+  const { from, to } = getMotionPoints(motion);
+  return { from: getCameraTransform(from), to: getCameraTransform(to) };
+};
+
+/**
+ * Build the FFmpeg filter that applies the motion to a frame that is already
+ * scaled to the output size. The motion runs over the slide's length and
+ * holds its last position through any transition tail.
+ * @param {Object} motion - Motion settings
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @param {number} seconds - Slide duration in seconds
+ * @returns {string} Filter chain, or an empty string for a still slide
+ */
+export const buildMotionFilter = (motion, width, height, seconds) => {
+  if (!hasMotion(motion)) return "";
+
+  const { from, to } = getMotionPoints(motion);
+  const progress = `min(t/${seconds.toFixed(3)},1)`;
+  const lerp = (a, b) =>
+    a === b ? `${a}` : `(${a}+(${+(b - a).toFixed(4)})*${progress})`;
+  const scale = lerp(from.scale, to.scale);
+  // Camera position in the -1..1 range mapped onto the cropped margin
+  const offset = (a, b, inputSize, size) =>
+    `(${inputSize}-${size})/2*(1+${lerp(a, b)})`;
+
+  return [
+    `scale=w='trunc(${width}*${scale}/2)*2':h='trunc(${height}*${scale}/2)*2':eval=frame`,
+    `crop=${width}:${height}:x='${offset(from.x, to.x, "iw", width)}':y='${offset(
+      from.y,
+      to.y,
+      "ih",
+      height
+    )}'`,
+  ].join(",");
+};
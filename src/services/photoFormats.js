@@ -0,0 +1,123 @@
+// src/services/photoFormats.js
+// Photo formats not every browser opens: HEIC/HEIF, the iPhone camera
+// default, and AVIF. A photo the browser can open is used as it is. Photos
+// it can't open are converted to JPEG, HEIC with libheif and AVIF with
+// libavif, each only loaded when such a photo comes in. The bundled FFmpeg
+// can't help here, its build has neither a HEIF demuxer nor an AV1 decoder.
+
+// Extensions the file pickers offer next to image/*. Some systems hand over
+// HEIC files without a MIME type.
+export const PHOTO_FILE_EXTENSIONS = [".heic", ".heif", ".avif"];
+
+const HEIF_TYPES = [
+  "image/heic",
+  "image/heif",
+  "image/heic-sequence",
+  "image/heif-sequence",
+];
+
+const getExtension = (file) => {
+  const match = /\.([^.]+)$/.exec(file.name || "");
+  return match ? `.${match[1].toLowerCase()}` : "";
+};
+
+/**
+ * Check whether a file is a HEIC/HEIF photo
+ * @param {File} file - Uploaded file
+ * @returns {boolean}
+ */
+export const isHeifFile = (file) =>
+  HEIF_TYPES.includes(file.type) ||
+  [".heic", ".heif"].includes(getExtension(file));
+
+/**
+ * Check whether a file is an AVIF photo
+ * @param {File} file - Uploaded file
+ * @returns {boolean}
+ */
+export const isAvifFile = (file) =>
+  file.type === "image/avif" || getExtension(file) === ".avif";
+
+/**
+ * Check whether a file can be added as a photo slide
+ * @param {File} file - Uploaded file
+ * @returns {boolean}
+ */
+export const isPhotoFile = (file) =>
+  file.type.startsWith("image/") || isHeifFile(file) || isAvifFile(file);
+
+/**
+ * Check whether the browser can open an image
+ * @param {Blob} blob - Image data
+ * @returns {Promise<boolean>}
+ */
+const canBrowserDecode = (blob) => {
+  return new Promise((resolve) => {
+    const url = URL.createObjectURL(blob);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(true);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      resolve(false);
+    };
+    img.src = url;
+  });
+};
+
+/**
+ * Encode decoded pixels as a JPEG
+ * @param {ImageData} imageData - Decoded photo
+ * @returns {Promise<Blob>}
+ */
+const toJpeg = (imageData) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = imageData.width;
+  canvas.height = imageData.height;
+  canvas.getContext("2d").putImageData(imageData, 0, 0);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) =>
+        blob ? resolve(blob) : reject(new Error("JPEG encoding failed")),
+      "image/jpeg",
+      0.92
+    );
+  });
+};
+
+/**
+ * Get a version of a photo the browser can draw. JPEG, PNG, WebP and other
+ * formats the browser opens by itself are returned unchanged.
+ * @param {File} file - Uploaded photo
+ * @returns {Promise<Blob>} The photo, or a JPEG converted from it
+ * @throws {Error} With a message for the user when the photo can't be
+ *   opened in this browser
+ */
+export const decodePhoto = async (file) => {
+  const isHeif = isHeifFile(file);
+  if (!isHeif && !isAvifFile(file)) return file;
+  if (await canBrowserDecode(file)) return file;
+
+  if (!isHeif) {
+    try {
+      const { default: decodeAvif } = await import("@jsquash/avif/decode.js");
+      return await toJpeg(await decodeAvif(await file.arrayBuffer()));
+    } catch (error) {
+      console.error(`Could not convert ${file.name}:`, error);
+      throw new Error(
+        "The AVIF photo could not be converted. It may be damaged or use an AVIF variant that isn't supported."
+      );
+    }
+  }
+  try {
+    const { heicTo } = await import("heic-to");
+    return await heicTo({ blob: file, type: "image/jpeg", quality: 0.92 });
+  } catch (error) {
+    console.error(`Could not convert ${file.name}:`, error);
+    throw new Error(
+      "The HEIC photo could not be converted. It may be damaged or use a HEIC variant that isn't supported."
+    );
+  }
+};
@@ -0,0 +1,430 @@
+// src/services/photoMetadata.js
+// Capture details read from a photo on import: the EXIF orientation, when it
+// was taken and with which camera, and the place name from its XMP data.
+// GPS coordinates are never read, a slideshow only needs the name of the
+// place. JPEG and HEIF-based photos (HEIC, AVIF) are read, photos without
+// metadata import as before.
+
+// Bytes read from the start of a file, the metadata segments come first
+const METADATA_BYTES = 256 * 1024;
+
+const EXIF_HEADER = "Exif\0\0";
+const XMP_HEADER = "http://ns.adobe.com/xap/1.0/\0";
+
+// TIFF tags, in the main IFD and the Exif IFD
+const TAGS = {
+  make: 0x010f,
+  model: 0x0110,
+  orientation: 0x0112,
+  dateTime: 0x0132,
+  exifIfd: 0x8769,
+  dateTimeOriginal: 0x9003,
+  offsetTimeOriginal: 0x9011,
+};
+
+// XMP properties naming the place, most specific first
+const XMP_LOCATION_PROPERTIES = [
+  "Iptc4xmpCore:Location",
+  "photoshop:City",
+  "photoshop:Country",
+];
+
+// APP1 segment tagging an image with orientation 6 (turned a quarter right)
+const ORIENTATION_TEST_SEGMENT = new Uint8Array([
+  0xff, 0xe1, 0x00, 0x22, 0x45, 0x78, 0x69, 0x66, 0x00, 0x00, 0x4d, 0x4d,
+  0x00, 0x2a, 0x00, 0x00, 0x00, 0x08, 0x00, 0x01, 0x01, 0x12, 0x00, 0x03,
+  0x00, 0x00, 0x00, 0x01, 0x00, 0x06, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+]);
+
+const readString = (view, offset, length) => {
+  let text = "";
+  for (let i = 0; i < length; i++) {
+    text += String.fromCharCode(view.getUint8(offset + i));
+  }
+  return text;
+};
+
+/**
+ * Read the ASCII, SHORT and LONG entries of a TIFF IFD
+ * @param {DataView} view - File data
+ * @param {number} tiff - Offset of the TIFF header, IFD offsets count from it
+ * @param {number} offset - Offset of the IFD
+ * @param {boolean} little - Whether the TIFF data is little-endian
+ * @returns {Map<number, string|number>} Values by tag
+ */
+const readIfd = (view, tiff, offset, little) => {
+  const values = new Map();
+  const count = view.getUint16(offset, little);
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    const tag = view.getUint16(entry, little);
+    const type = view.getUint16(entry + 2, little);
+    const length = view.getUint32(entry + 4, little);
+    if (type === 2) {
+      // Strings longer than 4 bytes are stored elsewhere
+      const start =
+        length > 4 ? tiff + view.getUint32(entry + 8, little) : entry + 8;
+      values.set(
+        tag,
+        readString(view, start, length).replace(/\0+$/, "").trim()
+      );
+    } else if (type === 3) {
+      values.set(tag, view.getUint16(entry + 8, little));
+    } else if (type === 4) {
+      values.set(tag, view.getUint32(entry + 8, little));
+    }
+  }
+  return values;
+};
+
+/**
+ * Turn an EXIF date ("2024:07:14 18:32:05") into an ISO string. Without a
+ * time zone offset the date is taken as local time, like the camera clock.
+ * @param {string} [date] - EXIF date and time
+ * @param {string} [offset] - Time zone offset ("+02:00")
+ * @returns {string|null}
+ */
+const parseExifDate = (date, offset) => {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(
+    date || ""
+  );
+  if (!match || match[1] === "0000") return null;
+  const [, year, month, day, hours, minutes, seconds] = match;
+  const time = `${hours}:${minutes}:${seconds}`;
+  const parsed = /^[+-]\d{2}:\d{2}$/.test(offset || "")
+    ? new Date(`${year}-${month}-${day}T${time}${offset}`)
+    : new Date(year, month - 1, day, hours, minutes, seconds);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString();
+};
+
+// Cameras often repeat the make in the model name ("Canon" "Canon EOS R6")
+const getCameraName = (make, model) => {
+  if (!model) return make || null;
+  if (!make || model.toLowerCase().startsWith(make.toLowerCase())) {
+    return model;
+  }
+  return `${make} ${model}`;
+};
+
+// Reads the TIFF data of an EXIF block, which starts at `tiff`
+const readExif = (view, tiff, metadata) => {
+  const little = view.getUint16(tiff) === 0x4949;
+  const mainOffset = tiff + view.getUint32(tiff + 4, little);
+  const main = readIfd(view, tiff, mainOffset, little);
+  const exif = main.has(TAGS.exifIfd)
+    ? readIfd(view, tiff, tiff + main.get(TAGS.exifIfd), little)
+    : new Map();
+
+  const orientation = main.get(TAGS.orientation);
+  if (orientation >= 1 && orientation <= 8) metadata.orientation = orientation;
+  metadata.takenAt = parseExifDate(
+    exif.get(TAGS.dateTimeOriginal) || main.get(TAGS.dateTime),
+    exif.get(TAGS.offsetTimeOriginal)
+  );
+  metadata.camera = getCameraName(main.get(TAGS.make), main.get(TAGS.model));
+};
+
+// XMP writes properties either as attributes or as elements
+const readXmpProperty = (xmp, name) => {
+  const match =
+    new RegExp(`${name}="([^"]*)"`).exec(xmp) ||
+    new RegExp(`<${name}>([^<]*)</${name}>`).exec(xmp);
+  return match ? match[1].trim() : "";
+};
+
+const readXmp = (view, start, length, metadata) => {
+  const xmp = readString(view, start, length);
+  const names = XMP_LOCATION_PROPERTIES.map((name) =>
+    readXmpProperty(xmp, name)
+  ).filter(Boolean);
+  const unique = names.filter((name, index) => names.indexOf(name) === index);
+  if (unique.length > 0) metadata.location = unique.join(", ");
+};
+
+// Reads the metadata segments of a JPEG
+const readJpegMetadata = (view, metadata) => {
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    // Image data starts at SOS, no metadata after it
+    if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) break;
+    const size = view.getUint16(offset + 2);
+    const start = offset + 4;
+    if (marker === 0xffe1) {
+      if (readString(view, start, EXIF_HEADER.length) === EXIF_HEADER) {
+        readExif(view, start + EXIF_HEADER.length, metadata);
+      } else if (readString(view, start, XMP_HEADER.length) === XMP_HEADER) {
+        readXmp(
+          view,
+          start + XMP_HEADER.length,
+          size - 2 - XMP_HEADER.length,
+          metadata
+        );
+      }
+    }
+    offset += 2 + size;
+  }
+};
+
+/**
+ * Find the boxes of an ISO base media file (HEIF) between two offsets
+ * @returns {Map<string, {start: number, end: number}>} Box contents by type,
+ *   the first box of each type
+ */
+const readBoxes = (view, offset, end) => {
+  const boxes = new Map();
+  while (offset + 8 <= end) {
+    let size = view.getUint32(offset);
+    let header = 8;
+    if (size === 1) {
+      size = Number(view.getBigUint64(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header) break;
+    const type = readString(view, offset + 4, 4);
+    if (!boxes.has(type)) {
+      boxes.set(type, {
+        start: offset + header,
+        end: Math.min(offset + size, end),
+      });
+    }
+    offset += size;
+  }
+  return boxes;
+};
+
+// Reads an unsigned integer of 0, 4 or 8 bytes, as iloc stores them
+const readSizedInt = (view, offset, bytes) => {
+  if (bytes === 4) return view.getUint32(offset);
+  if (bytes === 8) return Number(view.getBigUint64(offset));
+  return 0;
+};
+
+/**
+ * Find where the EXIF item of a HEIF file is stored, from the item info
+ * (iinf) and item location (iloc) boxes of its meta box
+ * @returns {{offset: number, length: number}|null} Position in the file
+ */
+const findHeifExif = (view) => {
+  const meta = readBoxes(view, 0, view.byteLength).get("meta");
+  if (!meta) return null;
+  // meta is a full box, its children follow the version and flags
+  const boxes = readBoxes(view, meta.start + 4, meta.end);
+  const iinf = boxes.get("iinf");
+  const iloc = boxes.get("iloc");
+  if (!iinf || !iloc) return null;
+
+  let exifId = null;
+  const infeStart = iinf.start + 4 + (view.getUint8(iinf.start) === 0 ? 2 : 4);
+  let offset = infeStart;
+  while (exifId === null && offset + 8 <= iinf.end) {
+    const size = view.getUint32(offset);
+    const version = view.getUint8(offset + 8);
+    if (readString(view, offset + 4, 4) === "infe" && version >= 2) {
+      const idSize = version === 2 ? 2 : 4;
+      const id =
+        idSize === 2
+          ? view.getUint16(offset + 12)
+          : view.getUint32(offset + 12);
+      if (readString(view, offset + 12 + idSize + 2, 4) === "Exif") {
+        exifId = id;
+      }
+    }
+    if (size < 8) break;
+    offset += size;
+  }
+  if (exifId === null) return null;
+
+  const version = view.getUint8(iloc.start);
+  const sizes = view.getUint16(iloc.start + 4);
+  const offsetSize = sizes >> 12;
+  const lengthSize = (sizes >> 8) & 15;
+  const baseOffsetSize = (sizes >> 4) & 15;
+  const indexSize = version > 0 ? sizes & 15 : 0;
+  const idSize = version < 2 ? 2 : 4;
+  let position = iloc.start + 6;
+  const itemCount =
+    idSize === 2 ? view.getUint16(position) : view.getUint32(position);
+  position += idSize;
+  for (let i = 0; i < itemCount; i++) {
+    const id =
+      idSize === 2 ? view.getUint16(position) : view.getUint32(position);
+    position += idSize;
+    // Construction method, only offsets into the file are supported
+    const method = version > 0 ? view.getUint16(position) & 15 : 0;
+    if (version > 0) position += 2;
+    position += 2; // data reference index
+    const baseOffset = readSizedInt(view, position, baseOffsetSize);
+    position += baseOffsetSize;
+    const extentCount = view.getUint16(position);
+    position += 2;
+    const extentSize = indexSize + offsetSize + lengthSize;
+    if (id === exifId) {
+      if (method !== 0 || extentCount === 0) return null;
+      const extent = position + indexSize;
+      return {
+        offset: baseOffset + readSizedInt(view, extent, offsetSize),
+        length: readSizedInt(view, extent + offsetSize, lengthSize),
+      };
+    }
+    position += extentCount * extentSize;
+  }
+  return null;
+};
+
+// Reads the EXIF item of a HEIF file. HEIF turns its images upright with
+// its own properties, the EXIF orientation is left out.
+const readHeifMetadata = async (file, view, metadata) => {
+  const location = findHeifExif(view);
+  if (!location) return;
+  const exif = new DataView(
+    await file
+      .slice(location.offset, location.offset + location.length)
+      .arrayBuffer()
+  );
+  // The item starts with the offset of the TIFF header after it
+  readExif(exif, 4 + exif.getUint32(0), metadata);
+  metadata.orientation = 1;
+};
+
+/**
+ * Read the capture details of a photo. JPEG and HEIF files are read, other
+ * files and unreadable metadata give the defaults.
+ * @param {File} file - Image file
+ * @returns {Promise<{orientation: number, takenAt: string|null,
+ *   camera: string|null, location: string|null}>} EXIF orientation (1 is
+ *   upright), capture time as an ISO string, camera name and place name
+ */
+export const readPhotoMetadata = async (file) => {
+  const metadata = {
+    orientation: 1,
+    takenAt: null,
+    camera: null,
+    location: null,
+  };
+
+  try {
+    const view = new DataView(
+      await file.slice(0, METADATA_BYTES).arrayBuffer()
+    );
+    // Files are told apart by their first bytes, HEIC files often come
+    // without a MIME type
+    if (view.byteLength >= 12 && view.getUint16(0) === 0xffd8) {
+      readJpegMetadata(view, metadata);
+    } else if (view.byteLength >= 12 && readString(view, 4, 4) === "ftyp") {
+      await readHeifMetadata(file, view, metadata);
+    }
+  } catch (error) {
+    // Cut-off or broken metadata keeps whatever was read so far
+    console.warn(`Could not read the metadata of ${file.name}:`, error);
+  }
+  return metadata;
+};
+
+let orientationCheck = null;
+
+/**
+ * Check whether the browser turns images upright by their EXIF orientation
+ * when it decodes them, which current browsers do. Tested once with a tiny
+ * 2x1 JPEG that is tagged to be turned a quarter.
+ * @returns {Promise<boolean>}
+ */
+const browserAppliesOrientation = () => {
+  if (!orientationCheck) {
+    orientationCheck = new Promise((resolve) => {
+      const canvas = document.createElement("canvas");
+      canvas.width = 2;
+      canvas.height = 1;
+      canvas.toBlob(async (blob) => {
+        // Assume a current browser when the test image can't be made
+        if (!blob) {
+          resolve(true);
+          return;
+        }
+        // The tag goes right after the start of image marker
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const tagged = [
+          bytes.subarray(0, 2),
+          ORIENTATION_TEST_SEGMENT,
+          bytes.subarray(2),
+        ];
+        const url = URL.createObjectURL(
+          new Blob(tagged, { type: "image/jpeg" })
+        );
+        const img = new Image();
+        img.onload = () => {
+          URL.revokeObjectURL(url);
+          resolve(img.width === 1);
+        };
+        img.onerror = () => {
+          URL.revokeObjectURL(url);
+          resolve(true);
+        };
+        img.src = url;
+      }, "image/jpeg");
+    });
+  }
+  return orientationCheck;
+};
+
+/**
+ * Get the orientation that still has to be applied when drawing a photo,
+ * after the browser's own handling
+ * @param {number} orientation - EXIF orientation of the photo
+ * @returns {Promise<number>} Orientation to draw with, 1 when the browser
+ *   already shows the photo upright
+ */
+export const getDrawOrientation = async (orientation) =>
+  orientation === 1 || (await browserAppliesOrientation()) ? 1 : orientation;
+
+/**
+ * Check whether an orientation turns the image a quarter, swapping its width
+ * and height
+ * @param {number} orientation - EXIF orientation
+ * @returns {boolean}
+ */
+export const isSidewaysOrientation = (orientation) => orientation >= 5;
+
+/**
+ * Get the canvas transform that draws an image upright. The image is drawn
+ * at (0, 0) with its stored size, which is the upright size with width and
+ * height swapped for sideways orientations.
+ * @param {number} orientation - EXIF orientation
+ * @param {number} width - Upright width of the drawn image
+ * @param {number} height - Upright height of the drawn image
+ * @returns {number[]} Arguments of CanvasRenderingContext2D.transform
+ */
+export const getOrientationTransform = (orientation, width, height) => {
+  switch (orientation) {
+    case 2:
+      return [-1, 0, 0, 1, width, 0];
+    case 3:
+      return [-1, 0, 0, -1, width, height];
+    case 4:
+      return [1, 0, 0, -1, 0, height];
+    case 5:
+      return [0, 1, 1, 0, 0, 0];
+    case 6:
+      return [0, 1, -1, 0, width, 0];
+    case 7:
+      return [0, -1, -1, 0, width, height];
+    case 8:
+      return [0, -1, 1, 0, 0, height];
+    default:
+      return [1, 0, 0, 1, 0, 0];
+  }
+};
+
+/**
+ * Put slides in the order their photos were taken. Slides without a capture
+ * time keep their order and go last.
+ * @param {Array<Object>} stories - Slides
+ * @returns {Array<Object>} Sorted copy
+ */
+export const sortByDateTaken = (stories) =>
+  [...stories].sort((a, b) => {
+    if (!a.takenAt || !b.takenAt) return !a.takenAt - !b.takenAt;
+    return new Date(a.takenAt) - new Date(b.takenAt);
+  });
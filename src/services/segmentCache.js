@@ -0,0 +1,90 @@
+// src/services/segmentCache.js
+// Rendered slide segments kept between exports, so re-exporting after a small
+// change only renders the slides that actually changed. Segments are keyed by
+// the content of their images and every setting that affects their frames.
+
+// Upper bound for the cached segment data, the least recently used segments
+// are dropped first. The cache sits next to the FFmpeg heap, so it gets 8 MB
+// per GB of device memory, between 16 and 64 MB. Browsers that don't report
+// the device memory get 32 MB.
+const MB = 1024 * 1024;
+const deviceMemory =
+  (typeof navigator !== "undefined" && navigator.deviceMemory) || 4;
+export const SEGMENT_CACHE_MAX_BYTES =
+  Math.min(64, Math.max(16, deviceMemory * 8)) * MB;
+
+// Insertion order doubles as the usage order (oldest first)
+const segments = new Map();
+let cachedBytes = 0;
+
+const toHex = (buffer) =>
+  Array.from(new Uint8Array(buffer), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+
+/**
+ * Hash file data
+ * @param {Uint8Array} data - File data
+ * @returns {Promise<string>} SHA-256 of the data as hex
+ */
+export const hashData = async (data) =>
+  toHex(await crypto.subtle.digest("SHA-256", data));
+
+/**
+ * Build the cache key of a slide segment
+ * @param {Object} content - Input files of the segment
+ * @param {Uint8Array} content.image - Slide image
+ * @param {Uint8Array|null} content.caption - Rasterized caption, if any
+ * @param {Object} settings - Everything else that changes the rendered
+ *   frames (size, fit mode, duration, motion, caption timing...)
+ * @returns {Promise<string>} Cache key
+ */
+export const getSegmentKey = async ({ image, caption }, settings) => {
+  const hashes = [await hashData(image)];
+  if (caption) hashes.push(await hashData(caption));
+  return `${hashes.join(":")}|${JSON.stringify(settings)}`;
+};
+
+/**
+ * Look up a cached segment
+ * @param {string} key - Cache key from getSegmentKey
+ * @returns {Uint8Array|null} Encoded segment, or null when not cached
+ */
+export const getCachedSegment = (key) => {
+  const data = segments.get(key);
+  if (!data) return null;
+  // Move it to the back so it is evicted last
+  segments.delete(key);
+  segments.set(key, data);
+  return data;
+};
+
+/**
+ * Drop every cached segment
+ */
+export const clearSegmentCache = () => {
+  segments.clear();
+  cachedBytes = 0;
+};
+
+/**
+ * Add a rendered segment to the cache, evicting the least recently used
+ * segments when the cache grows past SEGMENT_CACHE_MAX_BYTES
+ * @param {string} key - Cache key from getSegmentKey
+ * @param {Uint8Array} data - Encoded segment
+ */
+export const storeSegment = (key, data) => {
+  if (data.byteLength > SEGMENT_CACHE_MAX_BYTES) return;
+  if (segments.has(key)) {
+    cachedBytes -= segments.get(key).byteLength;
+    segments.delete(key);
+  }
+  segments.set(key, data);
+  cachedBytes += data.byteLength;
+
+  for (const [oldKey, oldData] of segments) {
+    if (cachedBytes <= SEGMENT_CACHE_MAX_BYTES) break;
+    segments.delete(oldKey);
+    cachedBytes -= oldData.byteLength;
+  }
+};
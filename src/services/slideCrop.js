@@ -0,0 +1,139 @@
+// src/services/slideCrop.js
+// Per-slide framing: a focal point on the photo and a zoom. The photo is
+// fitted into the frame as usual, enlarged by the zoom and moved so the focal
+// point sits as near the middle of the frame as the photo's edges allow. The
+// focal point is a spot on the photo, so the framing carries over to any
+// frame shape. The slider draws it with CSS, the thumbnails on a canvas and
+// the export with FFmpeg filters.
+
+export const DEFAULT_CROP = {
+  // Focal point as a share of the photo's width and height
+  x: 0.5,
+  y: 0.5,
+  // Enlargement on top of the fit
+  zoom: 1,
+};
+
+export const MAX_CROP_ZOOM = 3;
+
+/**
+ * Get the full crop settings, filling in defaults
+ * @param {Object} [crop] - Crop settings ({ x, y, zoom })
+ * @returns {Object}
+ */
+export const getCrop = (crop) => ({ ...DEFAULT_CROP, ...crop });
+
+/**
+ * Check whether a crop changes the default centered fit
+ * @param {Object} [crop] - Crop settings
+ * @returns {boolean}
+ */
+export const hasCrop = (crop) => {
+  if (!crop) return false;
+  const { x, y, zoom } = getCrop(crop);
+  return x !== 0.5 || y !== 0.5 || zoom !== 1;
+};
+
+// Offset of a photo side within a frame side that brings the focus to the
+// middle without uncovering the frame. A side that fits is centered.
+const getOffset = (focus, size, frameSize) => {
+  if (size <= frameSize) return (frameSize - size) / 2;
+  return Math.min(0, Math.max(frameSize - size, frameSize / 2 - focus * size));
+};
+
+/**
+ * Place a photo in a frame
+ * @param {Object} crop - Crop settings
+ * @param {number} imageWidth - Photo width
+ * @param {number} imageHeight - Photo height
+ * @param {number} frameWidth - Frame width
+ * @param {number} frameHeight - Frame height
+ * @param {string} fitMode - Fit mode ('cover' or 'contain')
+ * @returns {{x: number, y: number, width: number, height: number}} Position
+ *   and size of the photo in frame pixels, it may reach past the edges
+ */
+export const getCropPlacement = (
+  crop,
+  imageWidth,
+  imageHeight,
+  frameWidth,
+  frameHeight,
+  fitMode
+) => {
+  const { x, y, zoom } = getCrop(crop);
+  const fit = fitMode === "cover" ? Math.max : Math.min;
+  const scale =
+    fit(frameWidth / imageWidth, frameHeight / imageHeight) * zoom;
+  const width = imageWidth * scale;
+  const height = imageHeight * scale;
+  return {
+    x: getOffset(x, width, frameWidth),
+    y: getOffset(y, height, frameHeight),
+    width,
+    height,
+  };
+};
+
+/**
+ * CSS that places a photo like getCropPlacement. The element must sit in a
+ * size container that has the size of the frame.
+ * @param {Object} crop - Crop settings
+ * @param {number} aspect - Photo width divided by its height
+ * @param {string} fitMode - Fit mode ('cover' or 'contain')
+ * @returns {Object} React style object
+ */
+export const getCropStyle = (crop, aspect, fitMode) => {
+  const { x, y, zoom } = getCrop(crop);
+  const fit = fitMode === "cover" ? "max" : "min";
+  const width = `${zoom} * ${fit}(100cqw, 100cqh * ${aspect})`;
+  const height = `${zoom} * ${fit}(100cqw / ${aspect}, 100cqh)`;
+  // getOffset without branches: the clamp range closes in on the centered
+  // offset when the side fits
+  const offset = (focus, size, frameSize) => {
+    const centered = `(${frameSize} - ${size}) / 2`;
+    return `clamp(min(${frameSize} - ${size}, ${centered}), ${frameSize} / 2 - ${focus} * ${size}, max(0px, ${centered}))`;
+  };
+  return {
+    position: "absolute",
+    left: offset(x, width, "100cqw"),
+    top: offset(y, height, "100cqh"),
+    width: `calc(${width})`,
+    height: `calc(${height})`,
+    maxWidth: "none",
+    maxHeight: "none",
+    objectFit: "fill",
+  };
+};
+
+/**
+ * CSS that places the image of a slide by its crop (see getCropStyle)
+ * @param {Object} story - Story object with `crop`, `width` and `height`
+ * @param {string} fitMode - Fit mode ('cover' or 'contain')
+ * @returns {Object|null} React style object, or null when the slide has no
+ *   crop or the size of its image is unknown
+ */
+export const getSlideCropStyle = (story, fitMode) =>
+  story && hasCrop(story.crop) && story.width && story.height
+    ? getCropStyle(story.crop, story.width / story.height, fitMode)
+    : null;
+
+/**
+ * Build the FFmpeg filters that place a photo like getCropPlacement and cut
+ * away what falls outside the frame. With the contain fit the result can be
+ * smaller than the frame and still needs padding or a background.
+ * @param {Object} crop - Crop settings
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @param {string} fitMode - Fit mode ('cover' or 'contain')
+ * @returns {string} Filter chain
+ */
+export const buildCropFilter = (crop, width, height, fitMode) => {
+  const { x, y, zoom } = getCrop(crop);
+  const force = fitMode === "cover" ? "increase" : "decrease";
+  return [
+    `scale=${Math.round((width * zoom) / 2) * 2}:${
+      Math.round((height * zoom) / 2) * 2
+    }:force_original_aspect_ratio=${force}`,
+    `crop=w='min(iw,${width})':h='min(ih,${height})':x='clip(iw*${x}-ow/2,0,iw-ow)':y='clip(ih*${y}-oh/2,0,ih-oh)'`,
+  ].join(",");
+};
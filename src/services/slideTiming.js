@@ -0,0 +1,211 @@
+// src/services/slideTiming.js
+// Bar-based slide lengths shared by the slider playback and the FFmpeg export.
+
+// Beats per bar, the slider assumes 4/4 time
+export const BEATS_PER_BAR = 4;
+
+export const BAR_OPTIONS = [
+  { value: 0.125, label: "⅛ Bar" },
+  { value: 0.25, label: "¼ Bar" },
+  { value: 0.5, label: "½ Bar" },
+  { value: 1, label: "1 Bar" },
+  { value: 2, label: "2 Bars" },
+  { value: 4, label: "4 Bars" },
+];
+
+/**
+ * Built-in rhythm patterns: bar lengths the slides cycle through. Each one
+ * adds up to whole phrases so the pattern restarts on a downbeat.
+ */
+export const RHYTHM_PATTERNS = [
+  { value: "steady", label: "Steady", bars: [1, 1, 1, 1] },
+  {
+    value: "buildUp",
+    label: "Build-Up",
+    bars: [
+      2, 1, 1, 0.5, 0.5, 0.5, 0.5, 0.25, 0.25, 0.25, 0.25, 0.125, 0.125, 0.125,
+      0.125, 0.125, 0.125, 0.125, 0.125,
+    ],
+  },
+  {
+    value: "dropStutter",
+    label: "Drop Stutter",
+    bars: [1, 1, 1, 0.25, 0.25, 0.125, 0.125, 0.125, 0.125],
+  },
+];
+
+// Longest custom pattern
+export const MAX_PATTERN_STEPS = 16;
+
+/**
+ * Find the built-in pattern a list of bar lengths matches
+ * @param {number[]|null} pattern - Bar lengths
+ * @returns {Object|null} Pattern definition, or null for a custom pattern
+ */
+export const findRhythmPattern = (pattern) =>
+  (pattern &&
+    RHYTHM_PATTERNS.find(
+      (option) =>
+        option.bars.length === pattern.length &&
+        option.bars.every((bars, i) => bars === pattern[i])
+    )) ||
+  null;
+
+/**
+ * Convert a length in bars to seconds
+ * @param {number} bars - Number of bars
+ * @param {number} bpm - Tempo in beats per minute
+ * @returns {number} Length in seconds
+ */
+export const barsToSeconds = (bars, bpm) => (bars * BEATS_PER_BAR * 60) / bpm;
+
+/**
+ * Get how long a slide stays on screen. A slide's own bar length wins, then
+ * the rhythm pattern step for its position, then the global slide duration.
+ * @param {Object} story - Slide ({ bars } overrides the default)
+ * @param {number} bpm - Tempo in beats per minute
+ * @param {number} defaultDuration - Global slide duration in seconds
+ * @param {Object} [rhythm]
+ * @param {number[]|null} [rhythm.pattern] - Bar lengths the slides cycle
+ *   through
+ * @param {number} [rhythm.index] - Position of the slide
+ * @returns {number} Slide duration in seconds
+ */
+export const getSlideDuration = (
+  story,
+  bpm,
+  defaultDuration,
+  { pattern = null, index = 0 } = {}
+) => {
+  if (story && story.bars) return barsToSeconds(story.bars, bpm);
+  if (pattern && pattern.length > 0) {
+    return barsToSeconds(pattern[index % pattern.length], bpm);
+  }
+  return defaultDuration;
+};
+
+/**
+ * Get the duration of every slide
+ * @param {Array<Object>} stories - Slides in playback order
+ * @param {number} bpm - Tempo in beats per minute
+ * @param {number} defaultDuration - Global slide duration in seconds
+ * @param {number[]|null} [pattern] - Rhythm pattern bar lengths
+ * @returns {number[]} Slide durations in seconds
+ */
+export const getSlideDurations = (stories, bpm, defaultDuration, pattern) =>
+  stories.map((story, index) =>
+    getSlideDuration(story, bpm, defaultDuration, { pattern, index })
+  );
+
+/**
+ * Place the slide cuts on whole frames of an absolute timeline. Every cut
+ * lands on the frame nearest its exact time and the rounding is carried into
+ * the next slide, so the cuts stay on the beat however long the export runs.
+ * @param {number[]} durations - Slide durations in seconds, in playback order
+ * @param {number} fps - Frame rate
+ * @returns {number[]} Number of frames each slide is on screen
+ */
+export const getTimelineFrames = (durations, fps) => {
+  let elapsed = 0;
+  let previousCut = 0;
+  return durations.map((slideDuration) => {
+    elapsed += slideDuration;
+    const cut = Math.round(elapsed * fps);
+    const frames = cut - previousCut;
+    previousCut = cut;
+    return frames;
+  });
+};
+
+// Target lengths offered by "Fit to song", in seconds
+export const FIT_TARGET_LENGTHS = [15, 30, 60];
+
+/**
+ * Spread the slides across a stretch of music on the bar grid. The stretch is
+ * rounded to whole bars so the last slide ends on a downbeat. Slides get
+ * whole bars when there are enough to go round, otherwise the grid drops to
+ * half, quarter or eighth bars. Longer and shorter slides are interleaved.
+ * @param {number} slideCount - Number of slides
+ * @param {number} seconds - Length of the music region
+ * @param {number} bpm - Tempo in beats per minute
+ * @returns {{bars: number[], totalBars: number, seconds: number}|null} Bar
+ *   length of every slide plus the fitted length, or null when the region
+ *   is too short to give every slide an eighth of a bar
+ */
+export const fitSlidesToLength = (slideCount, seconds, bpm) => {
+  if (slideCount < 1 || !(seconds > 0) || !(bpm > 0)) return null;
+  const totalBars = Math.max(1, Math.round(seconds / barsToSeconds(1, bpm)));
+  const step = BAR_OPTIONS.map((option) => option.value)
+    .filter((bars) => bars <= 1)
+    .sort((a, b) => b - a)
+    .find((bars) => totalBars / bars >= slideCount);
+  if (!step) return null;
+
+  const steps = totalBars / step;
+  const bars = Array.from(
+    { length: slideCount },
+    (_, i) =>
+      (Math.floor(((i + 1) * steps) / slideCount) -
+        Math.floor((i * steps) / slideCount)) *
+      step
+  );
+  return { bars, totalBars, seconds: barsToSeconds(totalBars, bpm) };
+};
+
+// Export lengths offered for social platforms, in seconds
+export const EXPORT_TARGET_LENGTHS = [7, 15, 30, 60, 90];
+
+/**
+ * Lay the slides out over an exact export length. The slide list loops as
+ * often as needed and is cut at the bar boundary nearest the target: slides
+ * that would start after it are dropped and the last slide runs on to the
+ * target, so every cut before it stays on the bar grid.
+ * @param {number[]} durations - Slide durations in seconds, in playback order
+ * @param {number} targetSeconds - Export length in seconds
+ * @param {number} bpm - Tempo in beats per minute
+ * @returns {{sequence: number[], durations: number[]}} Slide index and time
+ *   on screen of every clip, in playback order
+ */
+export const getTargetSequence = (durations, targetSeconds, bpm) => {
+  const barSeconds = barsToSeconds(1, bpm);
+  const lastCut = Math.round(targetSeconds / barSeconds) * barSeconds;
+  // Slack for float sums landing just off a bar line
+  const epsilon = 1e-6;
+
+  const sequence = [];
+  const clipDurations = [];
+  if (durations.length === 0) return { sequence, durations: clipDurations };
+
+  let start = 0;
+  let i = 0;
+  while (start < targetSeconds - epsilon) {
+    if (sequence.length > 0 && start > lastCut + epsilon) break;
+    sequence.push(i);
+    clipDurations.push(durations[i]);
+    start += durations[i];
+    i = (i + 1) % durations.length;
+  }
+  // The last clip ends exactly on the target
+  clipDurations[clipDurations.length - 1] += targetSeconds - start;
+  return { sequence, durations: clipDurations };
+};
+
+// Length of the crossfade at the seam of a seamless loop, in beats
+export const SEAM_BEATS = 1;
+
+/**
+ * Get the length of a seamless loop: the requested length rounded to whole
+ * bars, so the music wraps around on a downbeat
+ * @param {number} seconds - Requested length in seconds
+ * @param {number} bpm - Tempo in beats per minute
+ * @returns {{bars: number, seconds: number, seamSeconds: number}} Loop length
+ *   in bars and seconds, plus the length of the crossfade at the seam
+ */
+export const getSeamlessLoop = (seconds, bpm) => {
+  const bars = Math.max(1, Math.round(seconds / barsToSeconds(1, bpm)));
+  return {
+    bars,
+    seconds: barsToSeconds(bars, bpm),
+    seamSeconds: barsToSeconds(SEAM_BEATS / BEATS_PER_BAR, bpm),
+  };
+};
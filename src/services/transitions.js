@@ -0,0 +1,106 @@
+// src/services/transitions.js
+// Slide transitions shared by the live slider preview and the FFmpeg export.
+
+/**
+ * Available transitions. `xfade` is the matching FFmpeg xfade transition name,
+ * `null` means a hard cut.
+ */
+export const TRANSITIONS = [
+  { value: "none", label: "Cut", xfade: null },
+  { value: "crossfade", label: "Crossfade", xfade: "fade" },
+  { value: "pushLeft", label: "Push Left", xfade: "slideleft" },
+  { value: "pushUp", label: "Push Up", xfade: "slideup" },
+  { value: "zoom", label: "Zoom Through", xfade: "zoomin" },
+  { value: "dipToBlack", label: "Dip to Black", xfade: "fadeblack" },
+];
+
+export const TRANSITION_BEAT_OPTIONS = [
+  { value: 0.5, label: "½ Beat" },
+  { value: 1, label: "1 Beat" },
+  { value: 2, label: "2 Beats" },
+  { value: 4, label: "4 Beats" },
+];
+
+export const DEFAULT_TRANSITION = { type: "none", beats: 1 };
+
+/**
+ * Convert a length in beats to seconds
+ * @param {number} beats - Number of beats
+ * @param {number} bpm - Tempo in beats per minute
+ * @returns {number} Length in seconds
+ */
+export const beatsToSeconds = (beats, bpm) => (beats * 60) / bpm;
+
+/**
+ * Look up a transition definition by value, falling back to a hard cut
+ * @param {string} type - Transition value
+ * @returns {Object} Transition definition
+ */
+export const getTransitionDefinition = (type) =>
+  TRANSITIONS.find((transition) => transition.value === type) ||
+  TRANSITIONS[0];
+
+/**
+ * Get the length of a transition in seconds. A transition never runs longer
+ * than the slide it leads into, so cuts stay on the beat.
+ * @param {Object} transition - Transition settings ({ type, beats })
+ * @param {number} bpm - Tempo in beats per minute
+ * @param {number} slideDuration - Duration of the incoming slide in seconds
+ * @returns {number} Transition length in seconds (0 for a hard cut)
+ */
+export const getTransitionSeconds = (transition, bpm, slideDuration) => {
+  if (!transition || !getTransitionDefinition(transition.type).xfade) {
+    return 0;
+  }
+  return Math.min(beatsToSeconds(transition.beats, bpm), slideDuration);
+};
+
+/**
+ * Build an FFmpeg filter graph that joins slide clips with transitions.
+ *
+ * Every clip must already be rendered with a tail as long as the transition
+ * into the following clip, so each transition starts exactly where the hard
+ * cut used to be and the total length stays the sum of the slide durations.
+ *
+ * @param {Array<{duration: number, transition: Object, label: string}>} clips
+ *   Clips in playback order. `duration` is the slide length in seconds and
+ *   `transition` the transition into that clip ({ type, seconds }). `label`
+ *   is the clip's stream label and defaults to input `[index:v]`.
+ * @returns {{filter: string, output: string}} filter_complex string and the
+ *   label of the final video stream
+ */
+export const buildTransitionFilterGraph = (clips) => {
+  const filters = [];
+  const getLabel = (clip, index) => clip.label || `[${index}:v]`;
+  let previous = clips.length > 0 ? getLabel(clips[0], 0) : "[0:v]";
+  // Kept at full precision in the filter so frame-aligned cuts stay on their
+  // frame instead of rounding to the next one
+  let offset = 0;
+
+  clips.forEach((clip, index) => {
+    if (index === 0) {
+      offset = clip.duration;
+      return;
+    }
+
+    const output = `[v${index}]`;
+    const { xfade } = getTransitionDefinition(clip.transition.type);
+
+    if (xfade && clip.transition.seconds > 0) {
+      filters.push(
+        `${previous}${getLabel(clip, index)}xfade=transition=${xfade}:duration=${clip.transition.seconds.toFixed(
+          3
+        )}:offset=${offset.toFixed(6)}${output}`
+      );
+    } else {
+      filters.push(
+        `${previous}${getLabel(clip, index)}concat=n=2:v=1:a=0${output}`
+      );
+    }
+
+    previous = output;
+    offset += clip.duration;
+  });
+
+  return { filter: filters.join(";"), output: previous };
+};
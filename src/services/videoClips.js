@@ -0,0 +1,56 @@
+// src/services/videoClips.js
+// Short video clips used as slides. A clip plays from its in point for the
+// length of its slide and holds its last frame if it runs out first, in the
+// slider and in the export alike.
+
+// Video types a slide can be made from (MP4, WebM and QuickTime/MOV)
+export const CLIP_VIDEO_TYPES = ["video/mp4", "video/webm", "video/quicktime"];
+
+// Longest clip accepted as a slide, in seconds
+export const MAX_CLIP_SECONDS = 60;
+
+export const CLIP_AUDIO_OPTIONS = [
+  { value: false, label: "Mute" },
+  { value: true, label: "Keep Audio" },
+];
+
+export const DEFAULT_CLIP = {
+  // In point and length of the source video, in seconds
+  start: 0,
+  duration: 0,
+  // Mix the clip's own sound with the music
+  keepAudio: false,
+};
+
+/**
+ * Check whether a story is a video clip
+ * @param {Object} story - Story object
+ * @returns {boolean}
+ */
+export const isVideoStory = (story) => !!story && story.type === "video";
+
+/**
+ * Check whether a file can be added as a video slide
+ * @param {File} file - Uploaded file
+ * @returns {boolean}
+ */
+export const isClipFile = (file) => CLIP_VIDEO_TYPES.includes(file.type);
+
+/**
+ * Get the part of a clip its slide plays. The in point is kept early enough
+ * that the clip fills the slide whenever the clip is long enough.
+ * @param {Object} clip - Clip settings ({ start, duration, keepAudio })
+ * @param {number} slideDuration - Slide length in seconds
+ * @returns {{start: number, end: number, maxStart: number}} In and out
+ *   points, and the latest in point that still fills the slide, in seconds
+ */
+export const getClipRange = (clip, slideDuration) => {
+  const { start, duration } = { ...DEFAULT_CLIP, ...clip };
+  const maxStart = Math.max(0, duration - slideDuration);
+  const clampedStart = Math.min(Math.max(0, start), maxStart);
+  return {
+    start: clampedStart,
+    end: Math.min(duration, clampedStart + slideDuration),
+    maxStart,
+  };
+};
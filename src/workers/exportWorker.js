@@ -1,25 +1,822 @@
 // src/workers/exportWorker.js
+// Runs the whole FFmpeg export pipeline off the main thread: each slide is
+// rendered into a segment (reused from the cache when nothing changed), then
+// the transitions, format conversion and music run in a single FFmpeg pass.
+import { FFmpeg } from "@ffmpeg/ffmpeg";
+import { fetchFile } from "@ffmpeg/util";
+import { getTransitionSeconds } from "../services/transitions";
+import {
+  getTimelineFrames,
+  getTargetSequence,
+  getSeamlessLoop,
+} from "../services/slideTiming";
+import {
+  getExportFormat,
+  getExportPreset,
+  getFormatVideoFilter,
+  getPaletteFilters,
+  buildEncoderArgs,
+} from "../services/exportFormats";
+import { parseResolution } from "../services/exportFrame";
+import { getBackground } from "../services/background";
+import { buildBeatEffectFilter } from "../services/beatEffects";
+import {
+  buildAudioFilter,
+  buildSeamlessAudioGraph,
+  buildClipSoundGraph,
+} from "../services/audioMix";
+import {
+  buildSegmentFilterGraph,
+  buildJoinFilterGraph,
+  buildSlideshowFilterGraph,
+} from "../services/exportGraph";
+import {
+  getSegmentKey,
+  getCachedSegment,
+  storeSegment,
+  clearSegmentCache,
+} from "../services/segmentCache";
+import { parseStatsLine, describeFFmpegError } from "../services/ffmpegLog";
+
+// Quality of the slide segments, high enough that the final encode decides
+// the quality of the export
+const SEGMENT_CRF = 16;
+
+// Stages of an export and the part of the progress bar each one fills
+const EXPORT_STAGES = [
+  { name: "Rendering slides", start: 0, end: 50 },
+  { name: "Encoding", start: 50, end: 95 },
+];
+const [RENDER_STAGE, ENCODE_STAGE] = EXPORT_STAGES;
+
+// FFmpeg log lines kept to explain a failed run
+const FFMPEG_LOG_LINES = 40;
+
+// Most segments one FFmpeg run opens, longer slideshows are joined in runs
+const MAX_JOIN_INPUTS = 24;
+
+// One FFmpeg instance for the lifetime of the worker, so it only loads once
+const ffmpeg = new FFmpeg();
+let loadPromise = null;
+
+// The export in progress, if any ({ cancelled })
+let currentExport = null;
+
+const loadFFmpeg = () => {
+  if (!loadPromise) {
+    console.log("Starting FFmpeg load...");
+    const promise = ffmpeg
+      .load({
+        corePath: "/ffmpeg/ffmpeg-core.js",
+        wasmPath: "/ffmpeg/ffmpeg-core.wasm",
+      })
+      .then(() => {
+        console.log("FFmpeg loaded successfully");
+        return ffmpeg;
+      })
+      .catch((error) => {
+        // A reload terminates a pending load, keep the load it started
+        if (loadPromise === promise) loadPromise = null;
+        throw error;
+      });
+    loadPromise = promise;
+  }
+  return loadPromise;
+};
+
+// Throw the current core away (with its in-memory file system) and load a
+// fresh one. The cached segments go too, to leave the new core the memory.
+const reloadFFmpeg = () => {
+  ffmpeg.terminate();
+  clearSegmentCache();
+  loadPromise = null;
+  return loadFFmpeg();
+};
+
+/**
+ * Stop the running export. Terminating FFmpeg aborts the in-flight exec and
+ * throws away its in-memory file system along with every temp file, then the
+ * core is loaded again so the next export can start right away.
+ */
+const cancelExport = async () => {
+  if (!currentExport) return;
+  currentExport.cancelled = true;
+
+  try {
+    await reloadFFmpeg();
+  } catch (error) {
+    console.error("FFmpeg reload after cancel failed:", error);
+  }
+};
+
+const throwIfCancelled = (exportState) => {
+  if (exportState.cancelled) {
+    throw new Error("Export cancelled");
+  }
+};
+
+/**
+ * Send progress to the main thread
+ * @param {number} [progress] - Overall progress in percent
+ * @param {string} [message] - Status message
+ * @param {Object} [details] - Stage details ({ stage, stageNumber,
+ *   stageCount, frame, totalFrames, speed, eta })
+ */
+const postProgress = (progress, message, details) => {
+  self.postMessage({ type: "progress", progress, message, ...details });
+};
+
 self.onmessage = async (event) => {
-    const { data, config } = event.data;
-    
+  const { type, data, config } = event.data;
+
+  if (type === "load") {
     try {
-      // Basic export processing
-      const exportedFile = await processExport(data, config);
-      
-      self.postMessage({ 
-        type: 'complete', 
-        file: exportedFile 
-      });
+      await loadFFmpeg();
+      self.postMessage({ type: "loaded" });
     } catch (error) {
-      self.postMessage({ 
-        type: 'error', 
-        error: error.message 
-      });
+      console.error("FFmpeg load error:", error);
+      self.postMessage({ type: "load-error", error: error.message });
+    }
+    return;
+  }
+
+  if (type === "cancel") {
+    await cancelExport();
+    return;
+  }
+
+  const exportState = { cancelled: false };
+  currentExport = exportState;
+  try {
+    const exportedFile = await processExport(data, config, exportState);
+
+    self.postMessage(
+      {
+        type: "complete",
+        file: exportedFile,
+      },
+      [exportedFile.buffer]
+    );
+  } catch (error) {
+    if (exportState.cancelled) {
+      self.postMessage({ type: "cancelled" });
+      return;
     }
+    console.error("Export error:", error);
+    self.postMessage({
+      type: "error",
+      error: error.message,
+    });
+  } finally {
+    if (currentExport === exportState) currentExport = null;
+  }
+};
+
+/**
+ * Render the slideshow to a video or animated image file
+ * @param {Object} data - Slideshow content
+ * @param {Array<{source: Blob|string, motion: Object, duration: number, caption: Object, clip: Object, crop: Object}>} data.stories
+ *   Slides, `source` is a Blob, data URL or object URL of the pre-scaled
+ *   export image or the video clip and `duration` the slide's own length in
+ *   seconds. `caption` is null or the rasterized caption ({ image, start,
+ *   end }), where `image` is a transparent PNG of the output frame and
+ *   `end: null` keeps it on screen through the transition out of the slide.
+ *   `clip` is null for an image, or { start, keepAudio } for a video clip:
+ *   its in point in seconds and whether its sound is mixed with the music.
+ *   `crop` is null or the slide's focal point and zoom (see slideCrop.js).
+ * @param {string|null} data.musicUrl - Background music URL
+ * @param {number} data.musicStartPoint - Music start offset in seconds
+ * @param {number} data.bpm - Tempo in beats per minute
+ * @param {number} data.duration - Default slide duration in seconds
+ * @param {Object} data.transition - Transition settings ({ type, beats })
+ * @param {Object} data.beatEffect - Beat-reactive effect (see beatEffects.js)
+ * @param {Object} config - Export settings
+ * @param {string} config.resolution - Output size as "WIDTHxHEIGHT"
+ * @param {string} config.imageFitMode - Fit mode ('cover' or 'contain')
+ * @param {Object} config.background - Fill behind contained images (see
+ *   background.js)
+ * @param {boolean} config.isExportLoopEnabled - Whether to loop the slideshow
+ * @param {number} config.exportLoopDuration - Target length when looping
+ * @param {number} config.targetDuration - Exact export length in seconds, 0
+ *   to play the slideshow through (see getTargetSequence)
+ * @param {boolean} config.seamlessLoop - Round the length to whole bars and
+ *   crossfade the end into the start so the file loops without a jump (see
+ *   getSeamlessLoop)
+ * @param {string} config.format - Export format value (see exportFormats.js)
+ * @param {string} config.preset - Export preset (see exportFormats.js)
+ * @param {Object} config.audio - Music fades and normalization (see audioMix.js)
+ * @param {Object} exportState - Cancellation state ({ cancelled })
+ * @returns {Promise<Uint8Array>} The encoded file
+ */
+async function processExport(data, config, exportState) {
+  const {
+    stories,
+    musicUrl,
+    musicStartPoint,
+    bpm,
+    duration,
+    transition,
+    beatEffect,
+  } = data;
+  const {
+    resolution = "1080x1920",
+    imageFitMode,
+    isExportLoopEnabled = false,
+    exportLoopDuration = 0,
+    targetDuration = 0,
+    seamlessLoop = false,
+  } = config;
+  const format = getExportFormat(config.format);
+  const preset = getExportPreset(format, config.preset);
+  const { fps } = preset;
+  // Covered images fill the frame, their segments don't depend on the fill
+  const background =
+    imageFitMode === "contain" ? getBackground(config.background) : null;
+
+  postProgress(0, "Preparing to export video...");
+  await loadFFmpeg();
+  throwIfCancelled(exportState);
+
+  const tempFiles = [];
+  const { width, height } = parseResolution(resolution);
+
+  // Report the frames done in a stage, with an estimate of the time left
+  // for the whole export based on how long it took so far
+  const startTime = Date.now();
+  const reportStage = (stage, frame, totalFrames, { speed, message } = {}) => {
+    const done = totalFrames > 0 ? Math.min(frame / totalFrames, 1) : 1;
+    const progress = stage.start + done * (stage.end - stage.start);
+    const elapsed = (Date.now() - startTime) / 1000;
+    postProgress(progress, message, {
+      stage: stage === ENCODE_STAGE ? `Encoding ${format.label}` : stage.name,
+      stageNumber: EXPORT_STAGES.indexOf(stage) + 1,
+      stageCount: EXPORT_STAGES.length,
+      frame,
+      totalFrames,
+      speed: speed ?? null,
+      eta: progress >= 5 ? (elapsed * (100 - progress)) / progress : null,
+    });
+  };
+
+  // Run FFmpeg, passing its stats to `onStats`. FFmpeg reports most
+  // failures through its exit code, either way the log is turned into a
+  // readable error.
+  const runFFmpeg = async (args, onStats) => {
+    // A cancel between two runs has already swapped in a fresh core that
+    // lacks the inputs, running anyway would fail with a misleading error
+    throwIfCancelled(exportState);
+    const log = [];
+    const handleLog = ({ message }) => {
+      log.push(message);
+      if (log.length > FFMPEG_LOG_LINES) log.shift();
+      const stats = onStats && parseStatsLine(message);
+      if (stats) onStats(stats);
+    };
+
+    ffmpeg.on("log", handleLog);
+    let exitCode;
+    try {
+      exitCode = await ffmpeg.exec(args);
+    } catch (error) {
+      throwIfCancelled(exportState);
+      console.error("FFmpeg run failed:", error, log);
+      throw new Error(describeFFmpegError(log, { args, error }));
+    } finally {
+      ffmpeg.off("log", handleLog);
+    }
+    if (exitCode !== 0) {
+      console.error(`FFmpeg exited with code ${exitCode}:`, log);
+      throw new Error(describeFFmpegError(log, { args }));
+    }
+  };
+
+  // Check whether an input file has a sound track. Without an output FFmpeg
+  // only lists the streams of its inputs and stops.
+  const hasAudioStream = async (inputName) => {
+    throwIfCancelled(exportState);
+    let found = false;
+    const handleLog = ({ message }) => {
+      if (/Stream #0:\d+.*: Audio:/.test(message)) found = true;
+    };
+    ffmpeg.on("log", handleLog);
+    try {
+      await ffmpeg.exec(["-i", inputName]);
+    } finally {
+      ffmpeg.off("log", handleLog);
+    }
+    return found;
+  };
+
+  // Write a file for FFmpeg, unless the export was cancelled and the core
+  // it would go to is no longer this export's
+  const writeFile = async (name, fileData) => {
+    throwIfCancelled(exportState);
+    await ffmpeg.writeFile(name, fileData);
   };
-  
-  async function processExport(data, config) {
-    // Placeholder for export logic
-    console.log('Processing export', data, config);
-    return data; // Temporary return
-  }
\ No newline at end of file
+
+  try {
+    // Calculate total slideshow duration and loop parameters
+    const durations = stories.map((story) => story.duration || duration);
+    const totalSlideshowDuration = durations.reduce(
+      (total, slideDuration) => total + slideDuration,
+      0
+    );
+    const loopCount =
+      isExportLoopEnabled && exportLoopDuration > 0
+        ? Math.ceil(exportLoopDuration / totalSlideshowDuration)
+        : 1;
+
+    // A seamless loop is a whole number of bars long, taken from the
+    // target length or the looped slideshow
+    let exactDuration = targetDuration;
+    let seamSeconds = 0;
+    if (seamlessLoop) {
+      const loop = getSeamlessLoop(
+        targetDuration > 0
+          ? targetDuration
+          : totalSlideshowDuration * loopCount,
+        bpm
+      );
+      exactDuration = loop.seconds;
+      seamSeconds = loop.seamSeconds;
+    }
+
+    // The slideshow in playback order, one entry per clip. A target length
+    // loops or cuts the slide list to fit, otherwise it plays through.
+    let sequence = [];
+    let sequenceDurations;
+    if (exactDuration > 0) {
+      ({ sequence, durations: sequenceDurations } = getTargetSequence(
+        durations,
+        exactDuration,
+        bpm
+      ));
+    } else {
+      for (let loop = 0; loop < loopCount; loop++) {
+        sequence.push(...stories.map((_, i) => i));
+      }
+      sequenceDurations = sequence.map((i) => durations[i]);
+    }
+    // Cuts are placed on an absolute frame timeline, so a slide can be a
+    // frame longer or shorter from one loop to the next
+    const clipFrames = getTimelineFrames(sequenceDurations, fps);
+    const totalFrames = clipFrames.reduce((total, frames) => total + frames, 0);
+    const totalDuration = totalFrames / fps;
+    const seamFrames = Math.min(
+      Math.round(seamSeconds * fps),
+      Math.floor(totalFrames / 2)
+    );
+
+    // Each clip carries a tail as long as the transition into the slide
+    // that follows it, so the transition starts exactly where the hard cut
+    // was. Transitions are capped by the length of the incoming slide.
+    const transitionFrames = durations.map((slideDuration) =>
+      sequence.length > 1
+        ? Math.round(
+            getTransitionSeconds(transition, bpm, slideDuration) * fps
+          )
+        : 0
+    );
+    const tailFrames = stories.map(
+      (_, i) => transitionFrames[(i + 1) % stories.length]
+    );
+    const getSegmentName = (index, frames) => `segment_${index}_${frames}.mp4`;
+
+    // Step 1: Render each unique slide into a segment (one per length it
+    // plays at), or take it from the cache when the image and its settings
+    // are unchanged
+    const slideLengths = stories.map((_, i) => [
+      ...new Set(clipFrames.filter((_, position) => sequence[position] === i)),
+    ]);
+    const renderFrames = slideLengths.reduce(
+      (total, lengths, i) =>
+        total +
+        lengths.reduce((sum, frames) => sum + frames + tailFrames[i], 0),
+      0
+    );
+    let renderedFrames = 0;
+    let renderedCount = 0;
+    // Input files of the clips whose sound goes into the export, by slide
+    const clipSoundNames = [];
+    for (let i = 0; i < stories.length; i++) {
+      const story = stories[i];
+      reportStage(RENDER_STAGE, renderedFrames, renderFrames, {
+        message: `Processing image ${i + 1}/${stories.length}`,
+      });
+
+      let imageData;
+      try {
+        imageData = await fetchFile(story.source);
+      } catch (imageError) {
+        console.error(`Error fetching image ${i + 1}:`, imageError);
+        throw new Error(
+          `Failed to process image ${
+            i + 1
+          }. Please check if all images are valid.`
+        );
+      }
+      throwIfCancelled(exportState);
+
+      const pending = [];
+      for (const frames of slideLengths[i]) {
+        const slide = {
+          frames,
+          tailFrames: tailFrames[i],
+          motion: story.motion || null,
+          caption: story.caption
+            ? { start: story.caption.start, end: story.caption.end }
+            : null,
+          clip: story.clip ? { start: story.clip.start } : null,
+          crop: story.crop || null,
+        };
+        const segmentKey = await getSegmentKey(
+          { image: imageData, caption: story.caption && story.caption.image },
+          { width, height, fitMode: imageFitMode, background, fps, ...slide }
+        );
+        const segmentName = getSegmentName(i, frames);
+        tempFiles.push(segmentName);
+
+        const cachedSegment = getCachedSegment(segmentKey);
+        if (cachedSegment) {
+          // FFmpeg takes ownership of the written buffer, keep the cached copy
+          await writeFile(segmentName, cachedSegment.slice());
+          renderedFrames += frames + tailFrames[i];
+        } else {
+          pending.push({ slide, segmentKey, segmentName });
+        }
+      }
+      // The final run reads the sound of a clip from its input file
+      const keepsSound =
+        !!story.clip && story.clip.keepAudio && format.hasAudio;
+      if (pending.length === 0 && !keepsSound) continue;
+
+      const inputName = story.clip ? `input_${i}.mp4` : `input_${i}.png`;
+      await writeFile(inputName, imageData);
+      tempFiles.push(inputName);
+      if (keepsSound && (await hasAudioStream(inputName))) {
+        clipSoundNames[i] = inputName;
+      }
+      if (pending.length === 0) continue;
+
+      // A clip is read from its in point for as long as its longest segment
+      const inputArgs = story.clip
+        ? [
+            "-ss",
+            String(story.clip.start),
+            "-t",
+            ((Math.max(...slideLengths[i]) + tailFrames[i]) / fps).toFixed(6),
+            "-i",
+            inputName,
+          ]
+        : ["-framerate", String(fps), "-i", inputName];
+      if (story.caption) {
+        const captionName = `caption_${i}.png`;
+        await writeFile(captionName, story.caption.image);
+        tempFiles.push(captionName);
+        inputArgs.push("-i", captionName);
+      }
+
+      for (const { slide, segmentKey, segmentName } of pending) {
+        const { filter, output } = buildSegmentFilterGraph({
+          slide,
+          width,
+          height,
+          fitMode: imageFitMode,
+          background,
+          fps,
+        });
+        await runFFmpeg(
+          [
+            ...inputArgs,
+            "-filter_complex",
+            filter,
+            "-map",
+            output,
+            "-c:v",
+            "libx264",
+            "-crf",
+            String(SEGMENT_CRF),
+            "-preset",
+            "ultrafast",
+            "-pix_fmt",
+            "yuv420p",
+            segmentName,
+          ],
+          ({ frame, speed }) =>
+            reportStage(RENDER_STAGE, renderedFrames + frame, renderFrames, {
+              speed,
+            })
+        );
+        storeSegment(segmentKey, await ffmpeg.readFile(segmentName));
+        renderedFrames += slide.frames + slide.tailFrames;
+        renderedCount++;
+      }
+    }
+    console.log(`Rendered ${renderedCount} slide segments, the rest were cached`);
+
+    // The encoding stage is shared by the runs that join long slideshows,
+    // the GIF palette and the final encode, each fills its share
+    const palette = getPaletteFilters(format, preset);
+    let joinLevels = 0;
+    for (
+      let count = sequence.length;
+      count > MAX_JOIN_INPUTS;
+      count = Math.ceil(count / MAX_JOIN_INPUTS)
+    ) {
+      joinLevels++;
+    }
+    const encodePasses = joinLevels + (palette ? 1 : 0) + 1;
+    let encodePass = 0;
+    const reportEncode = (pass) => ({ frame, speed, message }) =>
+      reportStage(
+        ENCODE_STAGE,
+        pass * totalFrames + frame,
+        encodePasses * totalFrames,
+        { speed, message }
+      );
+    if (joinLevels > 0) {
+      reportEncode(0)({ frame: 0, message: "Joining slides..." });
+    }
+
+    // Step 2: Join the segments. Every clip opens its segment as a separate
+    // input so nothing has to be buffered for later loops. Long slideshows
+    // are first joined in runs, so no run opens more than MAX_JOIN_INPUTS.
+    let clips = sequence.map((i, position) => ({
+      name: getSegmentName(i, clipFrames[position]),
+      frames: clipFrames[position],
+      // A slide cut short at the target can't hold its whole transition
+      transitionFrames: Math.min(transitionFrames[i], clipFrames[position]),
+    }));
+    for (let level = 0; level < joinLevels; level++) {
+      const runCount = Math.ceil(clips.length / MAX_JOIN_INPUTS);
+      const runSize = Math.ceil(clips.length / runCount);
+      const runs = [];
+      let joinedFrames = 0;
+      for (let start = 0; start < clips.length; start += runSize) {
+        const run = clips.slice(start, start + runSize);
+        if (run.length === 1) {
+          runs.push(run[0]);
+          joinedFrames += run[0].frames;
+          continue;
+        }
+        const name = `joined_${level}_${runs.length}.mp4`;
+        const { filter, output } = buildJoinFilterGraph({
+          clips: run,
+          fps,
+          transitionType: transition.type,
+        });
+        tempFiles.push(name);
+        await runFFmpeg(
+          [
+            ...run.flatMap((clip) => ["-i", clip.name]),
+            "-filter_complex",
+            filter,
+            "-map",
+            output,
+            "-c:v",
+            "libx264",
+            "-crf",
+            String(SEGMENT_CRF),
+            "-preset",
+            "ultrafast",
+            "-pix_fmt",
+            "yuv420p",
+            name,
+          ],
+          ({ frame, speed }) =>
+            reportEncode(encodePass)({ frame: joinedFrames + frame, speed })
+        );
+        const frames = run.reduce((total, clip) => total + clip.frames, 0);
+        joinedFrames += frames;
+        runs.push({
+          name,
+          frames,
+          transitionFrames: run[0].transitionFrames,
+        });
+      }
+      clips = runs;
+      encodePass++;
+    }
+
+    const inputArgs = clips.flatMap((clip) => ["-i", clip.name]);
+    const { filter, output } = buildSlideshowFilterGraph({
+      clips,
+      fps,
+      transitionType: transition.type,
+      seamFrames,
+      effectFilter: buildBeatEffectFilter(beatEffect, bpm, width, height),
+      outputFilter: getFormatVideoFilter(format, preset, width),
+    });
+
+    // Step 3: Fetch the music when the format carries audio
+    let hasMusic = false;
+    if (musicUrl && format.hasAudio) {
+      postProgress(undefined, "Adding background music...");
+      try {
+        const musicData = await fetchFile(musicUrl);
+        console.log("Music data fetched, size:", musicData.byteLength);
+
+        // Basic validation - ensure we have actual data
+        if (!musicData || musicData.byteLength < 1000) {
+          throw new Error("Music file appears to be invalid or too small");
+        }
+
+        await writeFile("background.mp3", musicData);
+        tempFiles.push("background.mp3");
+        hasMusic = true;
+      } catch (musicError) {
+        throwIfCancelled(exportState);
+        console.error("Music fetch error:", musicError);
+        postProgress(
+          undefined,
+          "Music processing failed, creating video without audio..."
+        );
+      }
+    }
+    throwIfCancelled(exportState);
+
+    // Fade the music in and out over the exported length and level it. An
+    // exact length is padded with silence so music that runs out early
+    // doesn't cut the video short. A seamless loop crossfades its seam
+    // instead. The music is cut at the end of the video, -shortest alone
+    // lets it run on past a filter graph's video.
+    const musicInput = `[${clips.length}:a]`;
+    const total = totalDuration.toFixed(6);
+    const musicGraph =
+      seamFrames > 0
+        ? buildSeamlessAudioGraph({
+            input: musicInput,
+            settings: config.audio,
+            loopSeconds: totalDuration,
+            seamSeconds: seamFrames / fps,
+          })
+        : {
+            filter: `${musicInput}${[
+              buildAudioFilter(config.audio, bpm, totalDuration),
+              exactDuration > 0 ? `apad=whole_dur=${total}` : "",
+              `atrim=end=${total}`,
+            ]
+              .filter(Boolean)
+              .join(",")}[music]`,
+            output: "[music]",
+          };
+
+    // The sound of clips that keep theirs plays from each cut into the clip
+    const clipSounds = [];
+    let cutFrame = 0;
+    sequence.forEach((i, position) => {
+      if (clipSoundNames[i]) {
+        clipSounds.push({
+          inputName: clipSoundNames[i],
+          clipStart: stories[i].clip.start,
+          start: cutFrame / fps,
+          duration: clipFrames[position] / fps,
+        });
+      }
+      cutFrame += clipFrames[position];
+    });
+
+    // Step 4: Add transitions, convert to the export format and mux the
+    // music in one go. GIF first gets its palette from a pass of its own.
+    const outputName = `final_output${format.extension}`;
+    tempFiles.push(outputName);
+    const paletteName = "palette.png";
+    reportEncode(encodePass)({
+      frame: 0,
+      message: `Encoding ${format.description}...`,
+    });
+
+    const render = async (withMusic, encoderOptions) => {
+      const audioInputArgs = withMusic
+        ? ["-ss", String(musicStartPoint), "-i", "background.mp3"]
+        : [];
+      const firstSoundInput = clips.length + (withMusic ? 1 : 0);
+      clipSounds.forEach(({ inputName, clipStart, duration }) =>
+        audioInputArgs.push(
+          "-ss",
+          String(clipStart),
+          "-t",
+          duration.toFixed(6),
+          "-i",
+          inputName
+        )
+      );
+      const music = withMusic ? musicGraph : null;
+      const audio =
+        clipSounds.length > 0
+          ? buildClipSoundGraph({
+              music,
+              sounds: clipSounds.map(({ start, duration }, index) => ({
+                input: `[${firstSoundInput + index}:a]`,
+                start,
+                duration,
+              })),
+              totalDuration,
+            })
+          : music;
+
+      const audioArgs = audio ? ["-map", audio.output] : [];
+      // loudnorm works at 192 kHz internally, bring it back to 48 kHz
+      if (audio && audio.filter.includes("loudnorm")) {
+        audioArgs.push("-ar", "48000");
+      }
+      if (withMusic) audioArgs.push("-shortest");
+
+      // The palette is read after all other inputs
+      const paletteInputArgs = palette ? ["-i", paletteName] : [];
+      let videoFilter = filter;
+      let videoOutput = output;
+      if (palette) {
+        const paletteInput = firstSoundInput + clipSounds.length;
+        videoFilter = `${filter};${output}[${paletteInput}:v]${palette.use}[paletted]`;
+        videoOutput = "[paletted]";
+      }
+
+      await runFFmpeg(
+        [
+          ...inputArgs,
+          ...audioInputArgs,
+          ...paletteInputArgs,
+          "-filter_complex",
+          audio ? `${videoFilter};${audio.filter}` : videoFilter,
+          "-map",
+          videoOutput,
+          ...audioArgs,
+          ...buildEncoderArgs(format, preset, encoderOptions),
+          outputName,
+        ],
+        reportEncode(encodePasses - 1)
+      );
+    };
+
+    const renderFormat = async (withMusic) => {
+      try {
+        await render(withMusic);
+      } catch (encodeError) {
+        throwIfCancelled(exportState);
+        if (format.value !== "webm") throw encodeError;
+
+        // libvpx-vp9 can run out of memory inside the wasm core and leave it
+        // unusable. Keep the inputs, load a fresh core and fall back to VP8.
+        console.error("VP9 encoding failed, retrying with VP8:", encodeError);
+        postProgress(undefined, "Retrying WebM export with VP8...");
+        const inputs = tempFiles.filter((name) => name !== outputName);
+        const inputData = [];
+        for (const inputName of inputs) {
+          inputData.push(await ffmpeg.readFile(inputName));
+        }
+        await reloadFFmpeg();
+        for (let i = 0; i < inputs.length; i++) {
+          await writeFile(inputs[i], inputData[i]);
+        }
+        await render(withMusic, { fallback: true });
+      }
+    };
+
+    if (palette) {
+      tempFiles.push(paletteName);
+      await runFFmpeg(
+        [
+          ...inputArgs,
+          "-filter_complex",
+          `${filter};${output}${palette.generate}[palette]`,
+          "-map",
+          "[palette]",
+          paletteName,
+        ],
+        reportEncode(encodePass)
+      );
+      encodePass++;
+    }
+    if (hasMusic) {
+      try {
+        await renderFormat(true);
+      } catch (musicError) {
+        throwIfCancelled(exportState);
+        console.error("Music processing failed:", musicError);
+        // Fallback: export without music
+        postProgress(
+          undefined,
+          "Music processing failed, creating video without audio..."
+        );
+        await renderFormat(false);
+      }
+    } else {
+      await renderFormat(false);
+    }
+
+    // Read the final file
+    postProgress(95, "Preparing download...");
+    const exportedFile = await ffmpeg.readFile(outputName);
+    if (!exportedFile || exportedFile.byteLength === 0) {
+      throw new Error("FFmpeg did not produce an output file");
+    }
+    return exportedFile;
+  } finally {
+    // Clean up temporary files, whether the export finished or failed. A
+    // cancelled export already lost them when FFmpeg was terminated.
+    for (const tempFile of exportState.cancelled ? [] : tempFiles) {
+      await ffmpeg.deleteFile(tempFile).catch(() => {});
+    }
+  }
+}
@@ -42,6 +42,8 @@ export default defineConfig(({ command }) => {
         },
         workbox: {
           globPatterns: ['**/*.{js,css,html,ico,png,svg,jpg,jpeg,gif,webp,woff,woff2}'],
+          // The HEIC decoder is too big to precache, it is cached on first use
+          globIgnores: ['**/heic-to.*.js'],
           // Configure to cache local FFmpeg files
           runtimeCaching: [
             {
@@ -59,6 +61,21 @@ export default defineConfig(({ command }) => {
                 }
               }
             },
+            {
+              // Cache the HEIC and AVIF decoders once a photo needed them
+              urlPattern: /\/assets\/(heic-to\.[^/]+\.js|avif_dec\.[^/]+\.wasm)$/,
+              handler: 'CacheFirst',
+              options: {
+                cacheName: 'photo-decoder-cache',
+                expiration: {
+                  maxEntries: 4,
+                  maxAgeSeconds: 60 * 60 * 24 * 30 // 30 days
+                },
+                cacheableResponse: {
+                  statuses: [0, 200]
+                }
+              }
+            },
             {
               urlPattern: /^https:\/\/api\.audius\.co/,
               handler: 'NetworkFirst',
@@ -98,7 +115,12 @@ export default defineConfig(({ command }) => {
       },
     },
     optimizeDeps: {
-      exclude: ['@ffmpeg/ffmpeg', '@ffmpeg/util', '@ffmpeg/core']
+      // The AVIF decoder finds its wasm file next to its own module
+      exclude: ['@ffmpeg/ffmpeg', '@ffmpeg/util', '@ffmpeg/core', '@jsquash/avif']
+    },
+    // The export worker and FFmpeg's own worker are both module workers
+    worker: {
+      format: 'es'
     },
     build: {
       outDir: 'dist',